@@ -1,10 +1,26 @@
 import { GameState } from './core/GameState.js';
 import { SaveManager } from './core/SaveManager.js';
+import { GameLoop } from './core/GameLoop.js';
+import { createStorageAdapter } from './core/StorageAdapters.js';
+import { setPatternGeneratorWeight } from './core/PatternRegistry.js';
 import { GridRenderer } from './ui/GridRenderer.js';
 import { UIManager } from './ui/UIManager.js';
+import { RecoveryDialog } from './ui/RecoveryDialog.js';
+import { OfflineProgressDialog } from './ui/OfflineProgressDialog.js';
 import { ContractSystem } from './systems/ContractSystem.js';
 import { ShopSystem } from './systems/ShopSystem.js';
 import { AutoPainterSystem } from './systems/AutoPainterSystem.js';
+import { BrushSystem } from './systems/BrushSystem.js';
+import { FillSystem } from './systems/FillSystem.js';
+import { ShapeSystem } from './systems/ShapeSystem.js';
+import { SelectionSystem } from './systems/SelectionSystem.js';
+import { SymmetrySystem } from './systems/SymmetrySystem.js';
+import { OfflineProgressSystem } from './systems/OfflineProgressSystem.js';
+import { StatsSystem } from './systems/StatsSystem.js';
+import { DailyChallengeSystem } from './systems/DailyChallengeSystem.js';
+
+// Shorter absences are caught up silently
+const OFFLINE_SUMMARY_MIN_MS = 60 * 1000;
 
 /**
  * Main game class - orchestrates all systems
@@ -18,12 +34,28 @@ export class Game {
         this.contractSystem = new ContractSystem(this.gameState);
         this.shopSystem = new ShopSystem(this.gameState);
         this.autoPainterSystem = new AutoPainterSystem(this.gameState);
+        this.symmetrySystem = new SymmetrySystem(this.gameState);
+        this.brushSystem = new BrushSystem(this.gameState, this.symmetrySystem);
+        this.fillSystem = new FillSystem(this.gameState);
+        this.shapeSystem = new ShapeSystem(this.gameState, this.symmetrySystem);
+        this.selectionSystem = new SelectionSystem(this.gameState);
+        this.statsSystem = new StatsSystem(this.gameState);
+        this.dailyChallengeSystem = new DailyChallengeSystem(this.gameState, this.contractSystem);
+        this.offlineProgressSystem = new OfflineProgressSystem(this.gameState, this.contractSystem, this.autoPainterSystem);
+
+        // Game logic runs on one fixed-step loop, in this order
+        this.gameLoop = new GameLoop();
+        this.gameLoop.register(this.autoPainterSystem);
+        this.gameLoop.register(this.contractSystem);
+        this.gameLoop.register(this.statsSystem);
+        this.gameLoop.register(this.saveManager);
 
         // UI components (initialized after DOM ready)
         this.gridRenderer = null;
         this.uiManager = null;
 
         this.isRunning = false;
+        this.pausedAt = null;
     }
 
     async init() {
@@ -41,34 +73,66 @@ export class Game {
             return;
         }
 
+        // Pick a storage backend and read the save slots
+        await this.saveManager.init(await createStorageAdapter());
+
         // Try to load saved game first (before creating renderer)
-        const hasSave = this.saveManager.hasSave();
-        if (hasSave) {
+        let loaded = false;
+        if (await this.saveManager.hasSave()) {
             console.log('Loading saved game...');
-            this.saveManager.load();
+            loaded = await this.saveManager.load();
         }
 
         // Initialize renderer (after potential grid resize from save)
-        this.gridRenderer = new GridRenderer(canvas, this.gameState);
+        this.gridRenderer = new GridRenderer(canvas, this.gameState, {
+            brushSystem: this.brushSystem,
+            contractSystem: this.contractSystem,
+            fillSystem: this.fillSystem,
+            shapeSystem: this.shapeSystem,
+            selectionSystem: this.selectionSystem,
+            symmetrySystem: this.symmetrySystem
+        });
 
         // Initialize UI
         this.uiManager = new UIManager(this);
 
+        // A save from a newer version was set aside rather than loaded
+        if (this.saveManager.lastLoadReport?.newer) {
+            this.uiManager.showToast('Your save is from a newer version. It was kept aside and a new game was started.', 'error');
+        }
+
+        // An unreadable save was quarantined - offer the newest backup
+        const failure = this.saveManager.lastLoadFailure;
+        if (failure) {
+            const [backup] = await this.saveManager.getBackups();
+            if (backup) {
+                new RecoveryDialog(this, this.uiManager, failure, backup).open();
+            } else {
+                this.uiManager.showToast(`Your save could not be loaded (${failure.reason}). A copy was kept aside.`, 'error');
+            }
+        }
+
+        this.statsSystem.beginSession();
+
         // New game setup
-        if (!hasSave) {
+        if (!loaded) {
             // Give starting money for new games
             this.gameState.addMoney(10);
+        } else if (this.saveManager.loadedSavedAt) {
+            this.applyOfflineProgress(Date.now() - this.saveManager.loadedSavedAt);
         }
 
         // Start auto-save
         this.saveManager.startAutoSave(30000);
 
-        // Start auto painter system
-        this.autoPainterSystem.start();
+        // Start the simulation
+        this.gameLoop.start();
 
         // Handle page visibility for pausing
+        // Also save here: async storage may not finish writing during beforeunload
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
+                this.saveManager.save();
                 this.pause();
             } else {
                 this.resume();
@@ -87,13 +151,27 @@ export class Game {
     pause() {
         if (!this.isRunning) return;
         this.isRunning = false;
-        this.autoPainterSystem.stop();
+        this.pausedAt = Date.now();
+        this.gameLoop.pause();
     }
 
     resume() {
         if (this.isRunning) return;
         this.isRunning = true;
-        this.autoPainterSystem.start();
+        if (this.pausedAt) {
+            this.applyOfflineProgress(Date.now() - this.pausedAt);
+            this.pausedAt = null;
+        }
+        this.gameLoop.resume();
+    }
+
+    // Catch up on automation for time away, with a summary for longer absences
+    applyOfflineProgress(elapsedMs) {
+        const summary = this.offlineProgressSystem.apply(elapsedMs);
+        if (summary.elapsedMs >= OFFLINE_SUMMARY_MIN_MS && summary.cellsPainted > 0) {
+            new OfflineProgressDialog(this.uiManager, summary).open();
+        }
+        return summary;
     }
 
     // Debug/cheat methods for testing (access via window.game.debug)
@@ -113,11 +191,27 @@ export class Game {
                 this.gameState.completedContracts += count;
                 console.log(`Completed ${count} contracts. Total: ${this.gameState.completedContracts}`);
             },
-            clearSave: () => {
-                this.saveManager.deleteSave();
+            clearSave: async () => {
+                await this.saveManager.deleteSave();
                 location.reload();
             },
-            getState: () => this.gameState.serialize()
+            getState: () => this.gameState.serialize(),
+            // Rebuild the active contract from its seed and check the pattern matches
+            checkContractSeed: () => {
+                const contract = this.gameState.activeContract;
+                if (contract?.seed === undefined) return null;
+                const rebuilt = contract.daily
+                    ? this.contractSystem.generateDailyContract(contract.rankLevel, contract.daily.date)
+                    : this.contractSystem.generateContract(contract.rankLevel, { seed: contract.seed });
+                return JSON.stringify(rebuilt?.pattern) === JSON.stringify(contract.pattern);
+            },
+            advanceTime: (seconds = 10) => this.gameLoop.advance(seconds * 1000),
+            simulateOffline: (minutes = 60) => this.applyOfflineProgress(minutes * 60 * 1000),
+            // Weight a pattern generator up or down (0 turns it off) until reload
+            setPatternWeight: (id, weight) => setPatternGeneratorWeight(id, weight),
+            benchmarkGrid: (size = 1000) => {
+                import('./debug/gridBenchmark.js').then(({ runGridBenchmark }) => runGridBenchmark(size));
+            }
         };
     }
 }
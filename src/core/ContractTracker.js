@@ -0,0 +1,165 @@
+/**
+ * Incremental progress tracker for the active contract
+ * Built once from the pattern and the current grid, then updated only for changed cells,
+ * so checking completion costs the same on a 4x4 grid as on a 1000x1000 one
+ *
+ * Cell states: correct (target color painted), wrong (painted, but not the target color)
+ * and missing (target cell not yet painted with its color)
+ */
+export class ContractTracker {
+    constructor(contract, grid) {
+        this.contract = contract;
+        this.grid = grid;
+        this.rebuild();
+    }
+
+    /**
+     * Index the pattern and count the grid from scratch
+     * Needed after the grid is cleared, loaded or resized
+     */
+    rebuild() {
+        const { width, height } = this.grid;
+        const pattern = this.contract.pattern;
+
+        this.width = width;
+        this.expected = new Array(width * height).fill(null);
+        this.total = 0;
+        this.correct = 0;
+        this.wrong = 0;
+        this.colorStats = new Map(); // color -> { total, correct, wrong }
+        this.targets = new Map();    // color -> linear cell indices in scan order
+        this.targetPosition = new Int32Array(width * height).fill(-1); // index -> position in its target list
+        this.hintPosition = new Map(); // color -> first target position that may still need painting
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const color = pattern[y]?.[x] ?? null;
+                if (color === null) continue;
+
+                const index = y * width + x;
+                this.expected[index] = color;
+                this.total++;
+
+                const stats = this._getColorStats(color);
+                stats.total++;
+
+                const targets = this.targets.get(color);
+                this.targetPosition[index] = targets.length;
+                targets.push(index);
+            }
+        }
+
+        this.grid.forEachFilled((x, y, color) => this._count(y * width + x, color, 1));
+    }
+
+    _getColorStats(color) {
+        let stats = this.colorStats.get(color);
+        if (!stats) {
+            stats = { total: 0, correct: 0, wrong: 0 };
+            this.colorStats.set(color, stats);
+            this.targets.set(color, []);
+            this.hintPosition.set(color, 0);
+        }
+        return stats;
+    }
+
+    // Add (sign = 1) or remove (sign = -1) one painted cell from the counts
+    _count(index, color, sign) {
+        if (color === null) return;
+
+        if (this.expected[index] === color) {
+            this.correct += sign;
+            this.colorStats.get(color).correct += sign;
+        } else {
+            this.wrong += sign;
+            this._getColorStats(color).wrong += sign;
+        }
+    }
+
+    /**
+     * Apply grid changes ({ x, y, color, oldColor }) from cellChanged / cellsChanged
+     */
+    applyChanges(changes) {
+        for (const { x, y, color, oldColor } of changes) {
+            const index = y * this.width + x;
+            this._count(index, oldColor, -1);
+            this._count(index, color, 1);
+
+            // A target cell lost its color - let the auto painter hint find it again
+            const expected = this.expected[index];
+            if (expected !== null && oldColor === expected && color !== expected) {
+                const position = this.targetPosition[index];
+                if (position < this.hintPosition.get(expected)) {
+                    this.hintPosition.set(expected, position);
+                }
+            }
+        }
+    }
+
+    getMissing() {
+        return this.total - this.correct;
+    }
+
+    isComplete() {
+        return this.correct === this.total && this.wrong === 0;
+    }
+
+    // Overall counts
+    getProgress() {
+        return {
+            correct: this.correct,
+            wrong: this.wrong,
+            missing: this.getMissing(),
+            total: this.total,
+            percent: this.total > 0 ? Math.round((this.correct / this.total) * 100) : 0
+        };
+    }
+
+    // Counts for a single color (total and correct are 0 for colors not in the pattern)
+    getColorProgress(color) {
+        const stats = this.colorStats.get(color) ?? { total: 0, correct: 0, wrong: 0 };
+        return { color, ...stats, missing: stats.total - stats.correct };
+    }
+
+    /**
+     * Next target cell (scan order) that still needs a color, or null when none are left
+     * Used by auto painters instead of scanning the grid
+     */
+    findNextCell(color) {
+        const targets = this.targets.get(color);
+        if (!targets) return null;
+
+        let position = this.hintPosition.get(color);
+        while (position < targets.length) {
+            const index = targets[position];
+            const x = index % this.width;
+            const y = (index - x) / this.width;
+            if (this.grid.getCell(x, y) !== color) {
+                this.hintPosition.set(color, position);
+                return { x, y };
+            }
+            position++;
+        }
+
+        this.hintPosition.set(color, position);
+        return null;
+    }
+
+    // Up to `limit` cells that still need a color, in the same order as findNextCell
+    findNextCells(color, limit) {
+        const cells = [];
+        const first = this.findNextCell(color);
+        if (!first || limit <= 0) return cells;
+
+        const targets = this.targets.get(color);
+        for (let position = this.hintPosition.get(color); position < targets.length && cells.length < limit; position++) {
+            const index = targets[position];
+            const x = index % this.width;
+            const y = (index - x) / this.width;
+            if (this.grid.getCell(x, y) !== color) {
+                cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+}
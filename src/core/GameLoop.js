@@ -0,0 +1,101 @@
+// Simulation step in milliseconds - every system sees the same dt
+export const TICK_MS = 100;
+
+// Steps run in one frame at most; a longer gap is dropped (offline progress covers real absences)
+const MAX_CATCH_UP_STEPS = 50;
+
+/**
+ * Central fixed-timestep scheduler
+ * Registered systems get update(dtMs) in registration order, once per step. Real time is
+ * accumulated between frames, so throttled timers run several steps instead of slowing the game
+ */
+export class GameLoop {
+    constructor({ step = TICK_MS, maxCatchUpSteps = MAX_CATCH_UP_STEPS } = {}) {
+        this.step = step;
+        this.maxCatchUpSteps = maxCatchUpSteps;
+        this.systems = [];
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.timerId = null;
+        this.paused = false;
+        this.tickCount = 0;
+        this.droppedMs = 0; // Time skipped by the catch-up limit
+    }
+
+    // Systems need an update(dtMs) method
+    register(system) {
+        if (!this.systems.includes(system)) {
+            this.systems.push(system);
+        }
+    }
+
+    unregister(system) {
+        this.systems = this.systems.filter(s => s !== system);
+    }
+
+    start() {
+        if (this.timerId) return;
+        this.lastTime = performance.now();
+        this.timerId = setInterval(() => this.frame(performance.now()), this.step);
+    }
+
+    stop() {
+        if (this.timerId) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+        this.accumulator = 0;
+    }
+
+    isRunning() {
+        return this.timerId !== null && !this.paused;
+    }
+
+    // Stop simulating without losing registrations; time while paused is not caught up
+    pause() {
+        this.paused = true;
+        this.accumulator = 0;
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.lastTime = performance.now();
+    }
+
+    // Turn real time since the last frame into fixed steps
+    frame(now) {
+        const elapsed = now - this.lastTime;
+        this.lastTime = now;
+        if (this.paused || elapsed <= 0) return;
+
+        this.accumulator += elapsed;
+        const maxTime = this.step * this.maxCatchUpSteps;
+        if (this.accumulator > maxTime) {
+            this.droppedMs += this.accumulator - maxTime;
+            this.accumulator = maxTime;
+        }
+
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            this.tick();
+        }
+    }
+
+    // Run exactly one simulation step
+    tick() {
+        this.tickCount++;
+        for (const system of this.systems) {
+            system.update(this.step);
+        }
+    }
+
+    // Run the simulation forward by a fixed amount of time, ignoring pause (debugging)
+    advance(ms) {
+        const steps = Math.floor(ms / this.step);
+        for (let i = 0; i < steps; i++) {
+            this.tick();
+        }
+        return steps;
+    }
+}
@@ -1,5 +1,45 @@
 import { EventEmitter } from './EventEmitter.js';
 import { Grid } from './Grid.js';
+import { ContractTracker } from './ContractTracker.js';
+import { CURRENT_SAVE_VERSION } from './SaveMigrations.js';
+import { UPGRADES } from '../data/upgrades.js';
+import { DEFAULT_TOOL, isToolUnlocked } from '../data/tools.js';
+
+// Undo steps available before any Memory upgrades
+const BASE_UNDO_STEPS = 50;
+
+// Color quick access
+const MAX_RECENT_COLORS = 8;
+const QUICK_SLOT_COUNT = 9; // Bound to number keys 1-9
+
+// Imported patterns kept in the save
+export const MAX_CUSTOM_PATTERNS = 20;
+
+// Lifetime stats - saved with the game (see StatsSystem)
+function createDefaultStats() {
+    return {
+        totalCellsFilled: 0,
+        totalMoneyEarned: 0,
+        totalContractsCompleted: 0,
+        playTime: 0,
+        cellsPaintedByHand: 0,
+        cellsPaintedByAuto: 0,
+        sessions: 0,
+        ranks: {} // rank level -> { contracts, earned, bestTime }
+    };
+}
+
+// Daily challenge progress (see DailyChallengeSystem)
+function createDefaultDaily() {
+    return {
+        date: null, // UTC date the completedRanks flags belong to
+        completedRanks: [],
+        streak: 0,
+        bestStreak: 0,
+        lastCompletedDate: null,
+        results: [] // Most recent first: { date, rankLevel, time, mistakes, streak }
+    };
+}
 
 /**
  * Central game state - single source of truth for all game data
@@ -20,6 +60,11 @@ export class GameState extends EventEmitter {
 
         // Currently selected
         this.selectedColor = 'black';
+        this.selectedTool = DEFAULT_TOOL;
+
+        // Color quick access - most recent first, and number key slots (null = empty)
+        this.recentColors = [];
+        this.quickSlots = new Array(QUICK_SLOT_COUNT).fill(null);
 
         // Upgrades (id -> level, 0 = not purchased)
         this.upgrades = {};
@@ -29,32 +74,50 @@ export class GameState extends EventEmitter {
 
         // Active contract
         this.activeContract = null;
+        this.contractTracker = null; // Incremental progress for the active contract
+        this.simulating = false; // Set while offline progress is applied, so the UI skips per-event feedback
         this.completedContracts = 0;
 
         // Game stats
-        this.stats = {
-            totalCellsFilled: 0,
-            totalMoneyEarned: 0,
-            totalContractsCompleted: 0,
-            playTime: 0
-        };
+        this.stats = createDefaultStats();
+        this.daily = createDefaultDaily();
+
+        // Patterns imported from images, offered alongside the photo patterns
+        this.customPatterns = [];
+
+        // Where grid changes come from right now (read by StatsSystem and dailies):
+        // 'hand', 'auto', 'history' (undo/redo) or 'move' (selection move, paste, flip)
+        this.paintSource = 'hand';
 
         // Forward grid events
+        // Contract progress is updated before listeners run, so they see current counts
         this.grid.on('cellChanged', (data) => {
-            this.stats.totalCellsFilled++;
+            this.countFilled([data]);
+            this.contractTracker?.applyChanges([data]);
             this.emit('cellChanged', data);
             this.checkContractCompletion();
         });
 
         this.grid.on('cellsChanged', (data) => {
-            this.stats.totalCellsFilled += data.length;
+            this.countFilled(data);
+            this.contractTracker?.applyChanges(data);
             this.emit('cellsChanged', data);
             this.checkContractCompletion();
         });
 
-        this.grid.on('gridCleared', () => this.emit('gridCleared'));
-        this.grid.on('gridLoaded', () => this.emit('gridLoaded'));
-        this.grid.on('gridResized', (data) => this.emit('gridResized', data));
+        this.grid.on('gridCleared', () => {
+            this.contractTracker?.rebuild();
+            this.emit('gridCleared');
+        });
+        this.grid.on('gridLoaded', () => {
+            this.contractTracker?.rebuild();
+            this.emit('gridLoaded');
+        });
+        this.grid.on('gridResized', (data) => {
+            this.contractTracker?.rebuild();
+            this.emit('gridResized', data);
+        });
+        this.grid.on('historyChanged', (data) => this.emit('historyChanged', data));
     }
 
     // Grid expansion
@@ -71,6 +134,43 @@ export class GameState extends EventEmitter {
         return { width: this.grid.width, height: this.grid.height };
     }
 
+    // Play time in seconds (counted while the game is running)
+    addPlayTime(seconds) {
+        this.stats.playTime += seconds;
+    }
+
+    // Run fn with grid changes attributed to another paint source
+    withPaintSource(source, fn) {
+        const previous = this.paintSource;
+        this.paintSource = source;
+        try {
+            return fn();
+        } finally {
+            this.paintSource = previous;
+        }
+    }
+
+    // Restored and rearranged cells aren't new painting
+    isPainting() {
+        return this.paintSource === 'hand' || this.paintSource === 'auto';
+    }
+
+    // Erasing (color null) is not filling
+    countFilled(changes) {
+        if (!this.isPainting()) return;
+        for (const change of changes) {
+            if (change.color !== null) this.stats.totalCellsFilled++;
+        }
+    }
+
+    undo() {
+        return this.withPaintSource('history', () => this.grid.undo());
+    }
+
+    redo() {
+        return this.withPaintSource('history', () => this.grid.redo());
+    }
+
     // Money operations
     addMoney(amount) {
         if (amount <= 0) return false;
@@ -99,13 +199,63 @@ export class GameState extends EventEmitter {
         return this.unlockedColors.has(colorId);
     }
 
+    // Imported patterns (see PatternImporter.js)
+    addCustomPattern(pattern) {
+        if (this.customPatterns.length >= MAX_CUSTOM_PATTERNS) return false;
+        this.customPatterns.push(pattern);
+        this.emit('customPatternsChanged', this.customPatterns);
+        return true;
+    }
+
+    removeCustomPattern(index) {
+        if (!this.customPatterns[index]) return false;
+        this.customPatterns.splice(index, 1);
+        this.emit('customPatternsChanged', this.customPatterns);
+        return true;
+    }
+
     selectColor(colorId) {
         if (!this.unlockedColors.has(colorId)) return false;
         this.selectedColor = colorId;
+        this.recentColors = [colorId, ...this.recentColors.filter(c => c !== colorId)].slice(0, MAX_RECENT_COLORS);
         this.emit('colorSelected', colorId);
         return true;
     }
 
+    // Eyedropper - select the color of a painted cell
+    pickColorAt(x, y) {
+        const color = this.grid.getCell(x, y);
+        if (color === null) return false;
+        return this.selectColor(color);
+    }
+
+    // Quick slots (number keys 1-9)
+    assignQuickSlot(index, colorId) {
+        if (index < 0 || index >= QUICK_SLOT_COUNT) return false;
+        if (colorId !== null && !this.unlockedColors.has(colorId)) return false;
+        this.quickSlots[index] = colorId;
+        this.emit('quickSlotsChanged', this.quickSlots);
+        return true;
+    }
+
+    selectQuickSlot(index) {
+        const colorId = this.quickSlots[index];
+        if (!colorId) return false;
+        return this.selectColor(colorId);
+    }
+
+    // Tool management
+    isToolUnlocked(toolId) {
+        return isToolUnlocked(toolId, (id) => this.getUpgradeLevel(id));
+    }
+
+    selectTool(toolId) {
+        if (!this.isToolUnlocked(toolId)) return false;
+        this.selectedTool = toolId;
+        this.emit('toolSelected', toolId);
+        return true;
+    }
+
     // Upgrade management
     getUpgradeLevel(upgradeId) {
         return this.upgrades[upgradeId] || 0;
@@ -122,10 +272,23 @@ export class GameState extends EventEmitter {
         if (currentLevel === 0) {
             this.automationEnabled[upgradeId] = true;
         }
+        if (upgradeId === 'undo_buffer') {
+            this.updateUndoCapacity();
+        }
         this.emit('upgradeChanged', { id: upgradeId, level: currentLevel + 1 });
         return true;
     }
 
+    // Undo history size - base steps plus Memory upgrade levels
+    getUndoCapacity() {
+        const level = this.getUpgradeLevel('undo_buffer');
+        return BASE_UNDO_STEPS + level * UPGRADES.undo_buffer.ratePerLevel;
+    }
+
+    updateUndoCapacity() {
+        this.grid.setMaxHistory(this.getUndoCapacity());
+    }
+
     // Automation enable/disable
     isAutomationEnabled(upgradeId) {
         // Special case for auto_painters master toggle
@@ -163,40 +326,24 @@ export class GameState extends EventEmitter {
     // Contract management
     setActiveContract(contract) {
         this.activeContract = contract;
+        this.contractTracker = null;
         this.grid.clear();
+        this.contractTracker = new ContractTracker(contract, this.grid);
         this.emit('contractStarted', contract);
     }
 
     clearContract() {
         const contract = this.activeContract;
         this.activeContract = null;
+        this.contractTracker = null;
         this.grid.clear();
         this.emit('contractCleared', contract);
     }
 
     checkContractCompletion() {
-        if (!this.activeContract) return;
-
-        const pattern = this.activeContract.pattern;
-        let allMatch = true;
-        let anyWrong = false;
-
-        for (let y = 0; y < this.grid.height; y++) {
-            for (let x = 0; x < this.grid.width; x++) {
-                const expected = pattern[y]?.[x] ?? null;
-                const actual = this.grid.getCell(x, y);
-
-                if (expected !== actual) {
-                    allMatch = false;
-                    if (expected === null && actual !== null) {
-                        anyWrong = true; // Cell filled but should be empty
-                    }
-                }
-            }
-            if (!allMatch && anyWrong) break;
-        }
+        if (!this.activeContract || !this.contractTracker) return;
 
-        if (allMatch) {
+        if (this.contractTracker.isComplete()) {
             this.completeActiveContract();
         }
     }
@@ -207,6 +354,7 @@ export class GameState extends EventEmitter {
         const contract = this.activeContract;
         this.addMoney(contract.reward);
         this.activeContract = null;
+        this.contractTracker = null;
         this.completedContracts++;
         this.stats.totalContractsCompleted++;
         this.grid.clear();
@@ -217,48 +365,83 @@ export class GameState extends EventEmitter {
     // Serialization
     serialize() {
         return {
-            version: 4,
+            version: CURRENT_SAVE_VERSION,
             grid: this.grid.serialize(),
             gridLevel: this.gridLevel,
             money: this.money,
             unlockedColors: Array.from(this.unlockedColors),
             selectedColor: this.selectedColor,
+            selectedTool: this.selectedTool,
+            recentColors: this.recentColors,
+            quickSlots: this.quickSlots,
             upgrades: this.upgrades,
             automationEnabled: this.automationEnabled,
             activeContract: this.activeContract,
             completedContracts: this.completedContracts,
-            stats: this.stats
+            stats: this.stats,
+            daily: this.daily,
+            customPatterns: this.customPatterns
+        };
+    }
+
+    // Saved state as plain fields, with the grid decoded into a grid of its own
+    // Throws if any part of the data can't be read
+    parseSaveData(data) {
+        const grid = new Grid();
+        grid.deserialize(data.grid ?? {});
+
+        const unlockedColors = new Set(data.unlockedColors || ['black', 'white']);
+        const upgrades = data.upgrades || {};
+
+        return {
+            grid,
+            gridLevel: data.gridLevel || 1,
+            money: data.money || 0,
+            unlockedColors,
+            selectedColor: data.selectedColor || 'black',
+            recentColors: (data.recentColors || []).filter(c => unlockedColors.has(c)).slice(0, MAX_RECENT_COLORS),
+            quickSlots: new Array(QUICK_SLOT_COUNT).fill(null).map((_, i) => {
+                const colorId = data.quickSlots?.[i] ?? null;
+                return unlockedColors.has(colorId) ? colorId : null;
+            }),
+            upgrades,
+            selectedTool: isToolUnlocked(data.selectedTool, (id) => upgrades[id] || 0) ? data.selectedTool : DEFAULT_TOOL,
+            automationEnabled: data.automationEnabled || {},
+            activeContract: data.activeContract || null,
+            completedContracts: data.completedContracts || 0,
+            stats: { ...createDefaultStats(), ...data.stats },
+            daily: { ...createDefaultDaily(), ...data.daily },
+            customPatterns: (Array.isArray(data.customPatterns) ? data.customPatterns : [])
+                .filter(p => Array.isArray(p?.pattern) && p.pattern.length > 0 && p.pattern.every(Array.isArray))
         };
     }
 
+    // Expects a save already upgraded by migrateSave (see SaveMigrations.js)
     deserialize(data) {
-        if (!data || (data.version !== 2 && data.version !== 3 && data.version !== 4)) {
-            console.warn('Invalid or old save data version');
+        if (!data || data.version !== CURRENT_SAVE_VERSION) {
+            console.warn('Invalid save data version - migrate the save before loading it');
             return false;
         }
 
-        // Handle grid size
-        const savedWidth = data.grid?.width || 4;
-        const savedHeight = data.grid?.height || 4;
-        if (savedWidth !== this.grid.width || savedHeight !== this.grid.height) {
-            this.grid.expand(savedWidth, savedHeight);
+        // Parse everything before touching the current state, so a damaged save
+        // can't leave the game half loaded
+        let loaded;
+        try {
+            loaded = this.parseSaveData(data);
+        } catch (e) {
+            console.warn('Could not load save data:', e.message);
+            return false;
         }
-        this.grid.deserialize(data.grid);
-
-        this.gridLevel = data.gridLevel || 1;
-        this.money = data.money || 0;
-        this.unlockedColors = new Set(data.unlockedColors || ['black', 'white']);
-        this.selectedColor = data.selectedColor || 'black';
-        this.upgrades = data.upgrades || {};
-        this.automationEnabled = data.automationEnabled || {};
-        this.activeContract = data.activeContract || null;
-        this.completedContracts = data.completedContracts || 0;
-        this.stats = data.stats || {
-            totalCellsFilled: 0,
-            totalMoneyEarned: 0,
-            totalContractsCompleted: 0,
-            playTime: 0
-        };
+
+        // The tracker is rebuilt once the new grid is in place
+        this.activeContract = null;
+        this.contractTracker = null;
+        const { grid, activeContract, ...fields } = loaded;
+        Object.assign(this, fields);
+        this.grid.loadFrom(grid);
+        this.updateUndoCapacity();
+        this.activeContract = activeContract;
+        this.contractTracker = activeContract ? new ContractTracker(activeContract, this.grid) : null;
 
         this.emit('stateLoaded');
         return true;
@@ -1,23 +1,80 @@
 import { EventEmitter } from './EventEmitter.js';
+import { GRID_ENCODING, encodeGridData, decodeGridData } from './GridCodec.js';
+
+// Cells are stored in square chunks of CHUNK_SIZE x CHUNK_SIZE
+const CHUNK_SHIFT = 6;
+const CHUNK_SIZE = 1 << CHUNK_SHIFT; // 64
+const CHUNK_MASK = CHUNK_SIZE - 1;
+
+// Palette index 0 means empty, so a chunk holds up to 255 distinct colors
+const MAX_PALETTE_SIZE = 256;
 
 /**
- * Grid data structure - uses sparse Map storage for scalability to large sizes
- * Only stores non-empty cells, making 1000x1000 grids efficient
+ * Grid data structure - chunked typed-array storage for scalability to large sizes
+ * Cells are palette indices in 64x64 Uint8Array chunks; chunks are only allocated
+ * once something is painted in them, so sparse and fully painted 1000x1000 grids
+ * both stay cheap
  */
 export class Grid extends EventEmitter {
     constructor(width = 4, height = 4) {
         super();
         this.width = width;
         this.height = height;
-        // Sparse storage: only store filled cells
-        this.cells = new Map(); // key: "x,y" -> value: color
+
+        // Chunk storage: chunk key -> { cells: Uint8Array, count: number }
+        this.chunks = new Map();
+        this.filledCount = 0;
+
+        // Color palette shared by all chunks: index -> color id, plus reverse lookup
+        this.palette = [null];
+        this.paletteIndex = new Map();
+        this.colorCounts = [0]; // Filled cells per palette index
+
+        // Undo/redo: each step is an array of { x, y, oldColor, newColor }
         this.history = [];
-        this.maxHistory = 50;
+        this.redoStack = [];
+        this.maxHistory = 50; // Max undo steps
+        this.activeStroke = null; // Collects changes while a stroke is open
+    }
+
+    // Chunk coordinates packed into one number (grids stay far below 65536 chunks wide)
+    _chunkKey(cx, cy) {
+        return cy * 65536 + cx;
     }
 
-    // Key generation for Map
-    _key(x, y) {
-        return `${x},${y}`;
+    _getChunk(x, y) {
+        return this.chunks.get(this._chunkKey(x >> CHUNK_SHIFT, y >> CHUNK_SHIFT));
+    }
+
+    // Index of a cell inside its chunk
+    _offset(x, y) {
+        return ((y & CHUNK_MASK) << CHUNK_SHIFT) | (x & CHUNK_MASK);
+    }
+
+    // Palette index for a color, adding it to the palette on first use
+    _paletteIndexFor(color) {
+        let index = this.paletteIndex.get(color);
+        if (index === undefined) {
+            if (this.palette.length >= MAX_PALETTE_SIZE) {
+                throw new Error(`Grid palette is full (${MAX_PALETTE_SIZE - 1} colors)`);
+            }
+            index = this.palette.length;
+            this.palette.push(color);
+            this.paletteIndex.set(color, index);
+            this.colorCounts.push(0);
+        }
+        return index;
+    }
+
+    // Read a cell without bounds checks (null if empty)
+    _read(x, y) {
+        return this.palette[this._readIndex(x, y)];
+    }
+
+    // Palette index of a cell without bounds checks (0 if empty)
+    _readIndex(x, y) {
+        const chunk = this._getChunk(x, y);
+        return chunk ? chunk.cells[this._offset(x, y)] : 0;
     }
 
     // Expand the grid
@@ -29,7 +86,7 @@ export class Grid extends EventEmitter {
 
         this.width = newWidth;
         this.height = newHeight;
-        this.history = [];
+        this.resetHistory();
 
         this.emit('gridResized', { width: newWidth, height: newHeight });
         return true;
@@ -43,167 +100,314 @@ export class Grid extends EventEmitter {
     // Get cell color at position (null if empty)
     getCell(x, y) {
         if (!this.isValid(x, y)) return null;
-        return this.cells.get(this._key(x, y)) || null;
+        return this._read(x, y);
     }
 
     // Set cell color at position
     setCell(x, y, color, recordHistory = true) {
         if (!this.isValid(x, y)) return false;
 
-        const key = this._key(x, y);
-        const oldColor = this.cells.get(key) || null;
+        const oldColor = this._read(x, y);
 
         if (oldColor === color) return false;
 
-        if (recordHistory) {
-            this.history.push({ x, y, oldColor, newColor: color });
-            if (this.history.length > this.maxHistory) {
-                this.history.shift();
-            }
-        }
+        this._write(x, y, color);
 
-        if (color === null) {
-            this.cells.delete(key);
-        } else {
-            this.cells.set(key, color);
+        if (recordHistory) {
+            this._recordStep([{ x, y, oldColor, newColor: color }]);
         }
 
         this.emit('cellChanged', { x, y, color, oldColor });
         return true;
     }
 
-    // Set multiple cells at once
+    // Set multiple cells at once (recorded as a single undo step)
     setCells(changes, recordHistory = true) {
         const actualChanges = [];
+        const step = [];
 
         for (const { x, y, color } of changes) {
             if (!this.isValid(x, y)) continue;
 
-            const key = this._key(x, y);
-            const oldColor = this.cells.get(key) || null;
+            const oldColor = this._read(x, y);
 
             if (oldColor === color) continue;
 
+            this._write(x, y, color);
+
             if (recordHistory) {
-                this.history.push({ x, y, oldColor, newColor: color });
+                step.push({ x, y, oldColor, newColor: color });
             }
 
-            if (color === null) {
-                this.cells.delete(key);
-            } else {
-                this.cells.set(key, color);
+            actualChanges.push({ x, y, color, oldColor });
+        }
+
+        this._recordStep(step);
+
+        if (actualChanges.length > 0) {
+            this.emit('cellsChanged', actualChanges);
+        }
+
+        return actualChanges.length;
+    }
+
+    // Store or remove a color, allocating and freeing chunks as needed
+    _write(x, y, color) {
+        const key = this._chunkKey(x >> CHUNK_SHIFT, y >> CHUNK_SHIFT);
+        let chunk = this.chunks.get(key);
+        if (!chunk) {
+            if (color === null) return;
+            chunk = { cells: new Uint8Array(CHUNK_SIZE * CHUNK_SIZE), count: 0 };
+            this.chunks.set(key, chunk);
+        }
+
+        const offset = this._offset(x, y);
+        const oldIndex = chunk.cells[offset];
+        const newIndex = color === null ? 0 : this._paletteIndexFor(color);
+        if (oldIndex === newIndex) return;
+
+        chunk.cells[offset] = newIndex;
+        if (oldIndex !== 0) {
+            this.colorCounts[oldIndex]--;
+        }
+        if (newIndex !== 0) {
+            this.colorCounts[newIndex]++;
+        }
+
+        if (oldIndex === 0) {
+            chunk.count++;
+            this.filledCount++;
+        } else if (newIndex === 0) {
+            chunk.count--;
+            this.filledCount--;
+            if (chunk.count === 0) {
+                this.chunks.delete(key);
             }
+        }
+    }
 
-            actualChanges.push({ x, y, color, oldColor });
+    // Drop all cells and the palette
+    _reset() {
+        this.chunks.clear();
+        this.filledCount = 0;
+        this.palette = [null];
+        this.paletteIndex.clear();
+        this.colorCounts = [0];
+    }
+
+    // === UNDO / REDO ===
+
+    // Start grouping all following changes into one undo step (e.g. a drag stroke)
+    beginStroke() {
+        if (!this.activeStroke) {
+            this.activeStroke = [];
+        }
+    }
+
+    // Close the open stroke and push it as a single undo step
+    endStroke() {
+        const stroke = this.activeStroke;
+        this.activeStroke = null;
+        if (stroke) {
+            this._recordStep(stroke);
+        }
+    }
+
+    _recordStep(entries) {
+        if (entries.length === 0) return;
+
+        if (this.activeStroke) {
+            for (const entry of entries) {
+                this.activeStroke.push(entry);
+            }
+            return;
         }
 
+        this.history.push(entries);
+        this.redoStack = [];
+        this._trimHistory();
+        this.emit('historyChanged', this.getHistoryState());
+    }
+
+    _trimHistory() {
         if (this.history.length > this.maxHistory) {
             this.history.splice(0, this.history.length - this.maxHistory);
         }
+    }
 
-        if (actualChanges.length > 0) {
-            this.emit('cellsChanged', actualChanges);
+    // Change how many undo steps are kept
+    setMaxHistory(maxHistory) {
+        this.maxHistory = Math.max(1, maxHistory);
+        this._trimHistory();
+        this.emit('historyChanged', this.getHistoryState());
+    }
+
+    resetHistory() {
+        this.history = [];
+        this.redoStack = [];
+        // A drag still in progress keeps grouping its remaining changes
+        if (this.activeStroke) {
+            this.activeStroke = [];
         }
+        this.emit('historyChanged', this.getHistoryState());
+    }
 
-        return actualChanges.length;
+    canUndo() {
+        return this.history.length > 0 || (this.activeStroke?.length ?? 0) > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
     }
 
-    // Undo last change
+    getHistoryState() {
+        return {
+            undoSteps: this.history.length,
+            redoSteps: this.redoStack.length,
+            maxHistory: this.maxHistory
+        };
+    }
+
+    // Undo last step
     undo() {
-        if (this.history.length === 0) return false;
+        this.endStroke();
 
-        const { x, y, oldColor } = this.history.pop();
-        const key = this._key(x, y);
+        const step = this.history.pop();
+        if (!step) return false;
 
-        if (oldColor === null) {
-            this.cells.delete(key);
-        } else {
-            this.cells.set(key, oldColor);
+        // Revert in reverse order so repeated cells end on their original color
+        const changes = [];
+        for (let i = step.length - 1; i >= 0; i--) {
+            const { x, y, oldColor, newColor } = step[i];
+            const change = this._applyHistoryColor(x, y, newColor, oldColor);
+            if (change) changes.push(change);
         }
 
-        this.emit('cellChanged', { x, y, color: oldColor });
+        this.redoStack.push(step);
+        if (changes.length > 0) {
+            this.emit('cellsChanged', changes);
+        }
+        this.emit('historyChanged', this.getHistoryState());
+        return true;
+    }
+
+    // Redo last undone step
+    redo() {
+        this.endStroke();
+
+        const step = this.redoStack.pop();
+        if (!step) return false;
+
+        const changes = [];
+        for (const { x, y, oldColor, newColor } of step) {
+            const change = this._applyHistoryColor(x, y, oldColor, newColor);
+            if (change) changes.push(change);
+        }
+
+        this.history.push(step);
+        this._trimHistory();
+        if (changes.length > 0) {
+            this.emit('cellsChanged', changes);
+        }
+        this.emit('historyChanged', this.getHistoryState());
         return true;
     }
 
+    // Swap a cell from one recorded color to the other; cells painted since (e.g. by an
+    // auto painter) are left alone and return null
+    _applyHistoryColor(x, y, fromColor, color) {
+        const oldColor = this._read(x, y);
+        if (oldColor !== fromColor) return null;
+        this._write(x, y, color);
+        return { x, y, color, oldColor };
+    }
+
     // Clear entire grid
     clear() {
-        if (this.cells.size === 0) return;
+        this.resetHistory();
+        if (this.filledCount === 0) return;
 
-        this.cells.clear();
-        this.history = [];
+        this._reset();
         this.emit('gridCleared');
     }
 
-    // Get all filled cells in a region (for viewport rendering)
-    getCellsInRegion(startX, startY, endX, endY) {
-        const result = [];
-
+    /**
+     * Visit every filled cell in a region, chunk by chunk, skipping empty chunks
+     * @param {function(number, number, string)} callback - called with (x, y, color)
+     */
+    forEachInRegion(startX, startY, endX, endY, callback) {
         // Clamp to grid bounds
         startX = Math.max(0, Math.floor(startX));
         startY = Math.max(0, Math.floor(startY));
         endX = Math.min(this.width, Math.ceil(endX));
         endY = Math.min(this.height, Math.ceil(endY));
-
-        // For small regions or sparse grids, iterate stored cells
-        if (this.cells.size < (endX - startX) * (endY - startY) / 2) {
-            for (const [key, color] of this.cells) {
-                const [x, y] = key.split(',').map(Number);
-                if (x >= startX && x < endX && y >= startY && y < endY) {
-                    result.push({ x, y, color });
-                }
-            }
-        } else {
-            // For dense regions, check each cell
-            for (let y = startY; y < endY; y++) {
-                for (let x = startX; x < endX; x++) {
-                    const color = this.cells.get(this._key(x, y));
-                    if (color) {
-                        result.push({ x, y, color });
+        if (startX >= endX || startY >= endY || this.filledCount === 0) return;
+
+        const palette = this.palette;
+        for (let cy = startY >> CHUNK_SHIFT; cy <= (endY - 1) >> CHUNK_SHIFT; cy++) {
+            for (let cx = startX >> CHUNK_SHIFT; cx <= (endX - 1) >> CHUNK_SHIFT; cx++) {
+                const chunk = this.chunks.get(this._chunkKey(cx, cy));
+                if (!chunk) continue;
+
+                // Part of the region covered by this chunk
+                const originX = cx << CHUNK_SHIFT;
+                const originY = cy << CHUNK_SHIFT;
+                const x0 = Math.max(startX, originX);
+                const x1 = Math.min(endX, originX + CHUNK_SIZE);
+                const y0 = Math.max(startY, originY);
+                const y1 = Math.min(endY, originY + CHUNK_SIZE);
+
+                for (let y = y0; y < y1; y++) {
+                    const row = (y - originY) << CHUNK_SHIFT;
+                    for (let x = x0; x < x1; x++) {
+                        const index = chunk.cells[row + x - originX];
+                        if (index !== 0) {
+                            callback(x, y, palette[index]);
+                        }
                     }
                 }
             }
         }
+    }
+
+    // Visit every filled cell on the grid
+    forEachFilled(callback) {
+        this.forEachInRegion(0, 0, this.width, this.height, callback);
+    }
 
+    // Get all filled cells in a region (for viewport rendering)
+    getCellsInRegion(startX, startY, endX, endY) {
+        const result = [];
+        this.forEachInRegion(startX, startY, endX, endY, (x, y, color) => {
+            result.push({ x, y, color });
+        });
         return result;
     }
 
     // Count cells of a specific color
     countColor(color) {
-        let count = 0;
-        for (const c of this.cells.values()) {
-            if (c === color) count++;
-        }
-        return count;
+        const index = this.paletteIndex.get(color);
+        return index === undefined ? 0 : this.colorCounts[index];
     }
 
     // Get total filled cells
     getFilledCount() {
-        return this.cells.size;
+        return this.filledCount;
     }
 
     // Get all non-empty cells
     getFilledCells() {
         const filled = [];
-        for (const [key, color] of this.cells) {
-            const [x, y] = key.split(',').map(Number);
-            filled.push({ x, y, color });
-        }
+        this.forEachFilled((x, y, color) => filled.push({ x, y, color }));
         return filled;
     }
 
-    // Serialize grid state (sparse format for large grids)
+    // Serialize grid state (palette-indexed runs, see GridCodec.js)
     serialize() {
-        // Convert Map to array for JSON
-        const cellArray = [];
-        for (const [key, color] of this.cells) {
-            const [x, y] = key.split(',').map(Number);
-            cellArray.push([x, y, color]);
-        }
-
         return {
             width: this.width,
             height: this.height,
-            cells: cellArray
+            ...encodeGridData(this.width, this.height, this.palette, (x, y) => this._readIndex(x, y))
         };
     }
 
@@ -211,25 +415,29 @@ export class Grid extends EventEmitter {
     deserialize(data) {
         this.width = data.width || 4;
         this.height = data.height || 4;
-        this.cells.clear();
-        this.history = [];
-
-        // Load cells from array format
-        if (Array.isArray(data.cells)) {
+        this._reset();
+        this.resetHistory();
+
+        if (data.encoding === GRID_ENCODING) {
+            // Compact run format
+            decodeGridData(this.width, this.height, data, (x, y, color) => this._write(x, y, color));
+        } else if (Array.isArray(data.cells)) {
+            // Older array formats
             if (data.cells.length > 0 && Array.isArray(data.cells[0])) {
-                // New sparse format: [[x, y, color], ...]
+                // Sparse format: [[x, y, color], ...]
                 for (const [x, y, color] of data.cells) {
-                    if (color !== null) {
-                        this.cells.set(this._key(x, y), color);
+                    if (color !== null && this.isValid(x, y)) {
+                        this._write(x, y, color);
                     }
                 }
             } else {
-                // Old flat array format
-                for (let i = 0; i < data.cells.length; i++) {
+                // Old flat array format - anything past the last row is ignored
+                const count = Math.min(data.cells.length, this.width * this.height);
+                for (let i = 0; i < count; i++) {
                     if (data.cells[i] !== null) {
                         const x = i % this.width;
                         const y = Math.floor(i / this.width);
-                        this.cells.set(this._key(x, y), data.cells[i]);
+                        this._write(x, y, data.cells[i]);
                     }
                 }
             }
@@ -237,4 +445,24 @@ export class Grid extends EventEmitter {
 
         this.emit('gridLoaded');
     }
+
+    // Take over the size and cells of another grid (e.g. one decoded from a save),
+    // keeping this grid's listeners
+    loadFrom(other) {
+        const resized = other.width !== this.width || other.height !== this.height;
+        this.width = other.width;
+        this.height = other.height;
+        this.chunks = other.chunks;
+        this.filledCount = other.filledCount;
+        this.palette = other.palette;
+        this.paletteIndex = other.paletteIndex;
+        this.colorCounts = other.colorCounts;
+        this.resetHistory();
+
+        // Loaded grids can be smaller than the current one, which expand() never allows
+        if (resized) {
+            this.emit('gridResized', { width: this.width, height: this.height });
+        }
+        this.emit('gridLoaded');
+    }
 }
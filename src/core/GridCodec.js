@@ -0,0 +1,134 @@
+/**
+ * Compact grid encoding for saves
+ * Cells are read in row order as palette indices (0 = empty) and stored as runs:
+ * one index byte followed by the run length as a LEB128 varint, then base64 packed
+ */
+export const GRID_ENCODING = 'rle-b64';
+
+// Growable byte buffer
+class ByteWriter {
+    constructor(size = 1024) {
+        this.bytes = new Uint8Array(size);
+        this.length = 0;
+    }
+
+    push(byte) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = byte;
+    }
+
+    pushVarint(value) {
+        while (value >= 0x80) {
+            this.push((value & 0x7f) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        this.push(value);
+    }
+
+    toBytes() {
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+export function bytesToBase64(bytes) {
+    let binary = '';
+    // Convert in slices to stay under the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encode a grid as palette-indexed runs
+ * @param {string[]} palette - index -> color, index 0 is empty (null)
+ * @param {function(number, number): number} readIndex - palette index of a cell
+ */
+export function encodeGridData(width, height, palette, readIndex) {
+    const writer = new ByteWriter();
+    let runIndex = -1;
+    let runLength = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = readIndex(x, y);
+            if (index === runIndex) {
+                runLength++;
+                continue;
+            }
+            if (runLength > 0) {
+                writer.push(runIndex);
+                writer.pushVarint(runLength);
+            }
+            runIndex = index;
+            runLength = 1;
+        }
+    }
+    if (runLength > 0) {
+        writer.push(runIndex);
+        writer.pushVarint(runLength);
+    }
+
+    return {
+        encoding: GRID_ENCODING,
+        palette: palette.slice(1),
+        runs: bytesToBase64(writer.toBytes())
+    };
+}
+
+/**
+ * Decode grid data written by encodeGridData
+ * Throws if the runs don't cover the grid exactly (truncated or altered data)
+ * @param {function(number, number, string)} write - called for every filled cell
+ */
+export function decodeGridData(width, height, data, write) {
+    const bytes = base64ToBytes(data.runs);
+    const palette = [null, ...data.palette];
+    const total = width * height;
+    let position = 0;
+    let i = 0;
+
+    while (i < bytes.length) {
+        const color = palette[bytes[i++]];
+        if (color === undefined) {
+            throw new Error('Grid data uses an unknown palette index');
+        }
+
+        let length = 0;
+        let scale = 1;
+        let byte;
+        do {
+            if (i >= bytes.length) throw new Error('Grid data is truncated');
+            byte = bytes[i++];
+            length += (byte & 0x7f) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+
+        if (position + length > total) {
+            throw new Error('Grid data is larger than the grid');
+        }
+        if (color !== null) {
+            for (let p = position; p < position + length; p++) {
+                write(p % width, Math.floor(p / width), color);
+            }
+        }
+        position += length;
+    }
+
+    if (position !== total) {
+        throw new Error('Grid data is truncated');
+    }
+}
@@ -0,0 +1,130 @@
+import { COLORS } from '../data/colors.js';
+import { decodePng } from './PngDecoder.js';
+
+// Grid sizes offered when importing (the built-in photo patterns are 8 to 12)
+export const IMPORT_GRID_SIZES = [8, 10, 12, 16];
+
+// Pixels with less alpha than this count as empty cells
+const ALPHA_THRESHOLD = 128;
+
+const MAX_NAME_LENGTH = 32;
+
+// Solid colors as { id, rgb } - gradients like rainbow can't be matched to a pixel
+function getPalette(colorIds) {
+    const palette = [];
+    for (const id of colorIds) {
+        const match = /^#([0-9a-f]{6})$/i.exec(COLORS[id]?.hex || '');
+        if (!match) continue;
+        const value = parseInt(match[1], 16);
+        palette.push({ id, rgb: [(value >> 16) & 255, (value >> 8) & 255, value & 255] });
+    }
+    return palette;
+}
+
+// Nearest palette color, using the "redmean" weighting so matches look right to the eye
+function nearestColor(palette, r, g, b) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const { id, rgb } of palette) {
+        const meanR = (r + rgb[0]) / 2;
+        const dr = r - rgb[0];
+        const dg = g - rgb[1];
+        const db = b - rgb[2];
+        const distance = (2 + meanR / 256) * dr * dr + 4 * dg * dg + (2 + (255 - meanR) / 256) * db * db;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = id;
+        }
+    }
+    return best;
+}
+
+/**
+ * Turn RGBA pixels into a contract pattern
+ * The image is scaled down so its longest side fits gridSize (never up), each cell takes
+ * the most common color among the pixels it covers, and transparent pixels become null
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} image - RGBA pixels
+ * @param {object} options
+ * @param {number} options.gridSize - Longest side of the pattern in cells
+ * @param {string[]} options.colors - Color ids to match against, e.g. only unlocked ones
+ * @param {string} options.name - Pattern name
+ * @returns {{ name: string, pattern: (string|null)[][] }} - Same shape as the photo patterns
+ */
+export function imageToPattern(image, { gridSize = 12, colors = Object.keys(COLORS), name = 'Imported' } = {}) {
+    const palette = getPalette(colors);
+    if (palette.length === 0) throw new Error('No colors to match the image against');
+
+    const { width, height, data } = image;
+    const scale = Math.max(1, Math.max(width, height) / gridSize);
+    const outWidth = Math.max(1, Math.round(width / scale));
+    const outHeight = Math.max(1, Math.round(height / scale));
+
+    // Images usually repeat a few colors, so remember each match
+    const matches = new Map();
+    const colorAt = (i) => {
+        if (data[i + 3] < ALPHA_THRESHOLD) return null;
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        if (!matches.has(key)) matches.set(key, nearestColor(palette, data[i], data[i + 1], data[i + 2]));
+        return matches.get(key);
+    };
+
+    const pattern = [];
+    for (let cy = 0; cy < outHeight; cy++) {
+        const y0 = Math.floor(cy * height / outHeight);
+        const y1 = Math.max(y0 + 1, Math.floor((cy + 1) * height / outHeight));
+        const row = [];
+
+        for (let cx = 0; cx < outWidth; cx++) {
+            const x0 = Math.floor(cx * width / outWidth);
+            const x1 = Math.max(x0 + 1, Math.floor((cx + 1) * width / outWidth));
+
+            // Majority vote keeps pixel art crisp where averaging would blend edges
+            const votes = new Map();
+            let winner = null;
+            let winnerVotes = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const color = colorAt((y * width + x) * 4);
+                    const count = (votes.get(color) || 0) + 1;
+                    votes.set(color, count);
+                    if (count > winnerVotes) {
+                        winner = color;
+                        winnerVotes = count;
+                    }
+                }
+            }
+            row.push(winner);
+        }
+        pattern.push(row);
+    }
+
+    return { name: String(name).slice(0, MAX_NAME_LENGTH) || 'Imported', pattern };
+}
+
+/**
+ * Decode a PNG and convert it to a pattern (see imageToPattern for the options)
+ * @param {Uint8Array|ArrayBuffer} bytes - The PNG file
+ * @returns {{ success: boolean, pattern?: object, reason?: string }}
+ */
+export function importPngPattern(bytes, options = {}) {
+    let pattern;
+    try {
+        pattern = imageToPattern(decodePng(bytes), options);
+    } catch (e) {
+        return { success: false, reason: e.message };
+    }
+
+    if (!pattern.pattern.some(row => row.some(cell => cell !== null))) {
+        return { success: false, reason: 'The image has no visible pixels' };
+    }
+    return { success: true, pattern };
+}
+
+// Import a PNG picked with a file input; the name defaults to the file name
+export async function importPatternFile(file, options = {}) {
+    if (!/\.png$/i.test(file.name) && file.type !== 'image/png') {
+        return { success: false, reason: 'Choose a PNG image' };
+    }
+    const name = options.name || file.name.replace(/\.png$/i, '');
+    return importPngPattern(await file.arrayBuffer(), { ...options, name });
+}
@@ -0,0 +1,69 @@
+import { PATTERN_GENERATORS, DEFAULT_PATTERN_GENERATOR } from '../data/patternGenerators.js';
+
+// id -> generator definition, in registration order
+const generators = new Map();
+
+/**
+ * Add a pattern generator, or replace one with the same id
+ * definition: { id, complexities, minGridSize = 4, mixColors = false, weight = 1, generate }
+ * generate(pattern, colors, targetCells, random) must take all randomness from `random`
+ * so contracts can be rebuilt from their seed
+ */
+export function registerPatternGenerator(definition) {
+    const { id, complexities, generate } = definition;
+    if (typeof id !== 'string' || !id) {
+        throw new Error('Pattern generator needs an id');
+    }
+    if (!Array.isArray(complexities) || complexities.length === 0) {
+        throw new Error(`Pattern generator "${id}" needs at least one complexity`);
+    }
+    if (typeof generate !== 'function') {
+        throw new Error(`Pattern generator "${id}" needs a generate function`);
+    }
+
+    generators.set(id, {
+        minGridSize: 4,
+        mixColors: false,
+        weight: 1,
+        ...definition
+    });
+}
+
+export function unregisterPatternGenerator(id) {
+    return generators.delete(id);
+}
+
+export function getPatternGenerator(id) {
+    return generators.get(id) || generators.get(DEFAULT_PATTERN_GENERATOR);
+}
+
+// Change how often a generator is picked, e.g. to A/B test a new pattern (0 turns it off)
+export function setPatternGeneratorWeight(id, weight) {
+    const generator = generators.get(id);
+    if (!generator) return false;
+    generator.weight = Math.max(0, Number(weight) || 0);
+    return true;
+}
+
+// Generators offered for a complexity on a grid of this size
+export function getPatternGenerators(complexity, gridSize = Infinity) {
+    return [...generators.values()].filter(g =>
+        g.complexities.includes(complexity) && gridSize >= g.minGridSize && g.weight > 0
+    );
+}
+
+// Weighted pick with a single draw, so a seed always picks the same generator
+export function pickPatternGenerator(complexity, gridSize, random) {
+    const candidates = getPatternGenerators(complexity, gridSize);
+    const total = candidates.reduce((sum, g) => sum + g.weight, 0);
+    if (total === 0) return getPatternGenerator(DEFAULT_PATTERN_GENERATOR);
+
+    let roll = random.next() * total;
+    for (const generator of candidates) {
+        roll -= generator.weight;
+        if (roll < 0) return generator;
+    }
+    return candidates[candidates.length - 1];
+}
+
+PATTERN_GENERATORS.forEach(registerPatternGenerator);
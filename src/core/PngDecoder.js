@@ -0,0 +1,378 @@
+/**
+ * Pure-JS PNG decoder - no canvas needed, so it runs the same in the browser and in Node
+ * Supports every standard color type and bit depth, palettes with tRNS transparency,
+ * and Adam7 interlacing. Output matches ImageData: { width, height, data } with RGBA bytes
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Refuse images that would take too much memory to decode
+const MAX_PIXELS = 2048 * 2048;
+
+// Samples per pixel for each color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [startX, startY, stepX, stepY]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+// === INFLATE (RFC 1950/1951) ===
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Canonical Huffman table: counts per code length and symbols in code order
+function buildHuffman(lengths) {
+    const counts = new Uint16Array(16);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+        if (length !== 0) symbols[offsets[length]++] = symbol;
+    });
+    return { counts, symbols };
+}
+
+// Bit reader over the deflate stream, least significant bit first
+class BitReader {
+    constructor(bytes, pos) {
+        this.bytes = bytes;
+        this.pos = pos;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    bits(n) {
+        while (this.bitCount < n) {
+            if (this.pos >= this.bytes.length) throw new Error('Image data is truncated');
+            this.bitBuffer |= this.bytes[this.pos++] << this.bitCount;
+            this.bitCount += 8;
+        }
+        const value = this.bitBuffer & ((1 << n) - 1);
+        this.bitBuffer >>>= n;
+        this.bitCount -= n;
+        return value;
+    }
+
+    decode({ counts, symbols }) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length < 16; length++) {
+            code |= this.bits(1);
+            const count = counts[length];
+            if (code - first < count) return symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Image data is corrupt');
+    }
+
+    alignToByte() {
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+}
+
+let fixedTables = null;
+
+function getFixedTables() {
+    if (!fixedTables) {
+        const lengths = new Array(288);
+        lengths.fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+        fixedTables = { literal: buildHuffman(lengths), distance: buildHuffman(new Array(30).fill(5)) };
+    }
+    return fixedTables;
+}
+
+function readDynamicTables(reader) {
+    const literalCount = reader.bits(5) + 257;
+    const distanceCount = reader.bits(5) + 1;
+    const codeLengthCount = reader.bits(4) + 4;
+
+    const codeLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCount; i++) codeLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+    const codeLengthTable = buildHuffman(codeLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+        const symbol = reader.decode(codeLengthTable);
+        if (symbol < 16) {
+            lengths.push(symbol);
+        } else if (symbol === 16) {
+            if (lengths.length === 0) throw new Error('Image data is corrupt');
+            const previous = lengths[lengths.length - 1];
+            for (let n = 3 + reader.bits(2); n > 0; n--) lengths.push(previous);
+        } else {
+            const zeros = symbol === 17 ? 3 + reader.bits(3) : 11 + reader.bits(7);
+            for (let n = zeros; n > 0; n--) lengths.push(0);
+        }
+    }
+    if (lengths.length > literalCount + distanceCount) throw new Error('Image data is corrupt');
+
+    return {
+        literal: buildHuffman(lengths.slice(0, literalCount)),
+        distance: buildHuffman(lengths.slice(literalCount))
+    };
+}
+
+// Decompress a zlib stream; expectedSize sizes the output buffer up front
+function inflate(bytes, expectedSize) {
+    if (bytes.length < 2 || (bytes[0] & 0x0f) !== 8 || ((bytes[0] << 8) | bytes[1]) % 31 !== 0) {
+        throw new Error('Image data is not a zlib stream');
+    }
+
+    const out = new Uint8Array(expectedSize);
+    let length = 0;
+    const reader = new BitReader(bytes, 2);
+
+    let last = 0;
+    while (!last) {
+        last = reader.bits(1);
+        const type = reader.bits(2);
+
+        if (type === 0) {
+            // Stored block
+            reader.alignToByte();
+            const pos = reader.pos;
+            if (pos + 4 > bytes.length) throw new Error('Image data is truncated');
+            const size = bytes[pos] | (bytes[pos + 1] << 8);
+            if (pos + 4 + size > bytes.length) throw new Error('Image data is truncated');
+            if (length + size > out.length) throw new Error('Image data is larger than the image');
+            out.set(bytes.subarray(pos + 4, pos + 4 + size), length);
+            length += size;
+            reader.pos = pos + 4 + size;
+            continue;
+        }
+        if (type === 3) throw new Error('Image data is corrupt');
+
+        const { literal, distance } = type === 1 ? getFixedTables() : readDynamicTables(reader);
+        for (;;) {
+            const symbol = reader.decode(literal);
+            if (symbol === 256) break;
+            if (symbol < 256) {
+                if (length >= out.length) throw new Error('Image data is larger than the image');
+                out[length++] = symbol;
+                continue;
+            }
+
+            // Length extra bits come before the distance code
+            const lengthIndex = symbol - 257;
+            if (lengthIndex >= 29) throw new Error('Image data is corrupt');
+            const runLength = LENGTH_BASE[lengthIndex] + reader.bits(LENGTH_EXTRA[lengthIndex]);
+            const distIndex = reader.decode(distance);
+            if (distIndex >= 30) throw new Error('Image data is corrupt');
+            const runDistance = DIST_BASE[distIndex] + reader.bits(DIST_EXTRA[distIndex]);
+            if (runDistance > length) throw new Error('Image data is corrupt');
+            if (length + runLength > out.length) throw new Error('Image data is larger than the image');
+            for (let i = 0; i < runLength; i++, length++) out[length] = out[length - runDistance];
+        }
+    }
+
+    if (length !== out.length) throw new Error('Image data is truncated');
+    return out;
+}
+
+// === PNG ===
+
+let crcTable = null;
+
+function crc32(bytes, start, end) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = start; i < end; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readUint32(bytes, pos) {
+    return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+}
+
+// Split the file into chunks, checking each CRC
+function readChunks(bytes) {
+    if (bytes.length < 8 || PNG_SIGNATURE.some((b, i) => bytes[i] !== b)) {
+        throw new Error('Not a PNG image');
+    }
+
+    const chunks = [];
+    let pos = 8;
+    while (pos + 12 <= bytes.length) {
+        const length = readUint32(bytes, pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const end = pos + 8 + length;
+        if (end + 4 > bytes.length) throw new Error('PNG file is truncated');
+        if (crc32(bytes, pos + 4, end) !== readUint32(bytes, end)) {
+            throw new Error(`PNG ${type} chunk is damaged`);
+        }
+        chunks.push({ type, data: bytes.subarray(pos + 8, end) });
+        pos = end + 4;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Undo the per-row filters of one (sub)image in place; returns the raw rows
+function unfilter(data, offset, rowBytes, rows, bytesPerPixel) {
+    const out = new Uint8Array(rowBytes * rows);
+    for (let y = 0; y < rows; y++) {
+        const filter = data[offset + y * (rowBytes + 1)];
+        const src = offset + y * (rowBytes + 1) + 1;
+        const row = y * rowBytes;
+        const prev = row - rowBytes;
+
+        for (let x = 0; x < rowBytes; x++) {
+            const a = x >= bytesPerPixel ? out[row + x - bytesPerPixel] : 0;
+            const b = y > 0 ? out[prev + x] : 0;
+            const c = x >= bytesPerPixel && y > 0 ? out[prev + x - bytesPerPixel] : 0;
+            let value = data[src + x];
+            switch (filter) {
+                case 0: break;
+                case 1: value += a; break;
+                case 2: value += b; break;
+                case 3: value += (a + b) >> 1; break;
+                case 4: value += paeth(a, b, c); break;
+                default: throw new Error('PNG uses an unknown row filter');
+            }
+            out[row + x] = value;
+        }
+    }
+    return out;
+}
+
+// Read sample n of a row at any bit depth, scaled to 0-255 (palette indices stay as is)
+function readSample(row, rowStart, n, bitDepth, scale) {
+    if (bitDepth === 8) return row[rowStart + n];
+    if (bitDepth === 16) return row[rowStart + n * 2]; // High byte is enough for colors
+    const perByte = 8 / bitDepth;
+    const byte = row[rowStart + Math.floor(n / perByte)];
+    const shift = 8 - bitDepth * (n % perByte + 1);
+    const value = (byte >> shift) & ((1 << bitDepth) - 1);
+    return scale ? Math.round(value * 255 / ((1 << bitDepth) - 1)) : value;
+}
+
+/**
+ * Decode PNG file bytes
+ * @param {Uint8Array|ArrayBuffer} input - The whole PNG file
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }} - RGBA pixels
+ */
+export function decodePng(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const chunks = readChunks(bytes);
+
+    const header = chunks[0]?.type === 'IHDR' ? chunks[0].data : null;
+    if (!header || header.length < 13) throw new Error('PNG header is missing');
+
+    const width = readUint32(header, 0);
+    const height = readUint32(header, 4);
+    const [bitDepth, colorType, , , interlace] = header.subarray(8, 13);
+    const channels = CHANNELS[colorType];
+
+    if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth) || (colorType !== 0 && colorType !== 3 && bitDepth < 8)) {
+        throw new Error('PNG uses an unsupported color format');
+    }
+    if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+        throw new Error('PNG image is too large to import');
+    }
+
+    const palette = chunks.find(c => c.type === 'PLTE')?.data;
+    const transparency = chunks.find(c => c.type === 'tRNS')?.data;
+    if (colorType === 3 && !palette) throw new Error('PNG palette is missing');
+
+    // Concatenate the compressed image data
+    const idat = chunks.filter(c => c.type === 'IDAT');
+    const compressed = new Uint8Array(idat.reduce((sum, c) => sum + c.data.length, 0));
+    let pos = 0;
+    for (const chunk of idat) {
+        compressed.set(chunk.data, pos);
+        pos += chunk.data.length;
+    }
+
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+    const passSizes = passes.map(([x0, y0, dx, dy]) => {
+        const w = Math.ceil((width - x0) / dx);
+        const h = Math.ceil((height - y0) / dy);
+        return w > 0 && h > 0 ? { w, h, rowBytes: Math.ceil(w * bitsPerPixel / 8) } : null;
+    });
+    const rawSize = passSizes.reduce((sum, p) => sum + (p ? (p.rowBytes + 1) * p.h : 0), 0);
+    const raw = inflate(compressed, rawSize);
+
+    // Transparent color key for gray and RGB images
+    let key = null;
+    if (transparency && (colorType === 0 || colorType === 2)) {
+        key = (colorType === 0 ? [0] : [0, 2, 4]).map(i => (transparency[i] << 8) | transparency[i + 1]);
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    let offset = 0;
+
+    passes.forEach(([x0, y0, dx, dy], p) => {
+        const size = passSizes[p];
+        if (!size) return;
+        const rows = unfilter(raw, offset, size.rowBytes, size.h, bytesPerPixel);
+        offset += (size.rowBytes + 1) * size.h;
+
+        for (let y = 0; y < size.h; y++) {
+            const rowStart = y * size.rowBytes;
+            for (let x = 0; x < size.w; x++) {
+                const out = ((y0 + y * dy) * width + x0 + x * dx) * 4;
+                const sample = (n) => readSample(rows, rowStart, x * channels + n, bitDepth, colorType !== 3);
+
+                let r, g, b, a = 255;
+                if (colorType === 3) {
+                    const index = sample(0);
+                    r = palette[index * 3] ?? 0;
+                    g = palette[index * 3 + 1] ?? 0;
+                    b = palette[index * 3 + 2] ?? 0;
+                    a = transparency?.[index] ?? 255;
+                } else if (colorType === 0 || colorType === 4) {
+                    r = g = b = sample(0);
+                    if (colorType === 4) a = sample(1);
+                } else {
+                    r = sample(0);
+                    g = sample(1);
+                    b = sample(2);
+                    if (colorType === 6) a = sample(3);
+                }
+
+                // Color keys compare full-precision samples
+                if (key) {
+                    const exact = (n) => bitDepth === 16
+                        ? (rows[rowStart + (x * channels + n) * 2] << 8) | rows[rowStart + (x * channels + n) * 2 + 1]
+                        : readSample(rows, rowStart, x * channels + n, bitDepth, false);
+                    if (key.every((k, n) => exact(n) === k)) a = 0;
+                }
+
+                data[out] = r;
+                data[out + 1] = g;
+                data[out + 2] = b;
+                data[out + 3] = a;
+            }
+        }
+    });
+
+    return { width, height, data };
+}
@@ -0,0 +1,43 @@
+/**
+ * Small seedable PRNG (mulberry32)
+ * The same seed always gives the same sequence, so anything generated from it can be rebuilt
+ */
+export class Random {
+    constructor(seed = createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), a drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
+
+// Stable 32-bit seed from text (FNV-1a), e.g. a date
+export function seedFromString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Fresh 32-bit seed for a new random sequence
+export function createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,41 @@
+/**
+ * Save integrity checksum
+ * The checksum is a 32-bit FNV-1a hash of the save's JSON without the checksum field.
+ * It is added as the last key, so removing it and re-stringifying gives back the hashed text
+ */
+
+// Saves from this version on must carry a checksum
+export const CHECKSUM_SINCE_VERSION = 6;
+
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Return a copy of the save with its checksum as the last key
+export function addChecksum(save) {
+    const { checksum, ...rest } = save;
+    return { ...rest, checksum: fnv1a(JSON.stringify(rest)) };
+}
+
+/**
+ * Check a parsed save against its checksum
+ * @returns {{ success: boolean, reason?: string }}
+ */
+export function verifyChecksum(save) {
+    const { checksum, ...rest } = save;
+
+    if (checksum === undefined) {
+        return save.version >= CHECKSUM_SINCE_VERSION
+            ? { success: false, reason: 'Save is missing its checksum' }
+            : { success: true };
+    }
+    if (checksum !== fnv1a(JSON.stringify(rest))) {
+        return { success: false, reason: 'Save is corrupted or was edited (checksum mismatch)' };
+    }
+    return { success: true };
+}
@@ -1,32 +1,358 @@
+import { migrateSave, formatMigrationReport } from './SaveMigrations.js';
+import { addChecksum } from './SaveChecksum.js';
+import { MemoryStorageAdapter } from './StorageAdapters.js';
+import { bytesToBase64, base64ToBytes } from './GridCodec.js';
+import { getRank, getHighestRankLevel } from '../data/ranks.js';
+
+// The first slot keeps the original storage key, so existing saves show up as a slot
+const DEFAULT_SLOT_ID = 'default';
+
+// Rolling backups per slot - a good save is rotated in at most every BACKUP_INTERVAL_MS
+const BACKUP_COUNT = 3;
+const BACKUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Save codes are base64 of the UTF-8 JSON - btoa alone fails on names outside Latin-1
+function encodeSaveCode(json) {
+    return bytesToBase64(new TextEncoder().encode(json));
+}
+
+function decodeSaveCode(code) {
+    const bytes = base64ToBytes(code);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        // Older codes were plain btoa, one byte per character
+        let json = '';
+        for (const byte of bytes) json += String.fromCharCode(byte);
+        return json;
+    }
+}
+
 /**
- * Handles game save/load with localStorage
+ * Handles game save/load through a storage adapter (see StorageAdapters.js)
+ * Saves are run through the migration pipeline before they reach GameState.
+ * Everything that touches storage is async; call init() before using it
+ *
+ * Saves live in named slots. The slot index (names, metadata, active slot) is stored
+ * under its own key; each slot's save data under a key derived from the slot id
+ *
+ * Each slot also keeps rolling backups of its last good saves. A save that can't be
+ * read is moved to a quarantine key instead of being overwritten by the next save
  */
 export class SaveManager {
-    constructor(gameState, saveKey = 'gridIncrementalSave') {
+    constructor(gameState, storage = new MemoryStorageAdapter(), saveKey = 'gridIncrementalSave') {
         this.gameState = gameState;
-        this.saveKey = saveKey;
-        this.autoSaveInterval = null;
+        this.storage = storage;
+        this.baseKey = saveKey;
+        this.indexKey = `${saveKey}Slots`;
+        this.autoSaveInterval = null; // ms of game time between autosaves, null when off
+        this.autoSaveElapsed = 0;
+        this.lastLoadReport = null;
+        this.lastLoadFailure = null; // { reason } when the active slot's save was quarantined, until resolved
+        this.loadedSavedAt = null; // savedAt of the loaded save, used for offline progress
+        this.locked = false; // Set while switching slots so nothing overwrites the new slot
+        this.saveQueue = Promise.resolve(); // Saves run one at a time
+
+        // Replaced by init() with the stored index
+        this.index = this.createIndex();
+    }
+
+    // Switch to another storage backend (optional) and read the slot index
+    async init(storage = this.storage) {
+        this.storage = storage;
+        this.index = await this.loadIndex();
+    }
+
+    // === SLOTS ===
+
+    get activeSlotId() {
+        return this.index.activeSlot;
+    }
+
+    // Storage key of the active slot
+    get saveKey() {
+        return this.getSlotKey(this.activeSlotId);
+    }
+
+    // Saves from newer versions are kept here
+    get unsupportedKey() {
+        return `${this.saveKey}_unsupported`;
+    }
+
+    // Unreadable saves are moved here
+    get quarantineKey() {
+        return `${this.saveKey}_quarantine`;
+    }
+
+    getBackupKey(slotId, number) {
+        return `${this.getSlotKey(slotId)}_backup${number}`;
+    }
+
+    getSlotKey(slotId) {
+        return slotId === DEFAULT_SLOT_ID ? this.baseKey : `${this.baseKey}_slot_${slotId}`;
+    }
+
+    createIndex() {
+        return {
+            activeSlot: DEFAULT_SLOT_ID,
+            slots: [{ id: DEFAULT_SLOT_ID, name: 'Main', meta: null }]
+        };
+    }
+
+    async loadIndex() {
+        try {
+            const index = JSON.parse(await this.storage.getItem(this.indexKey));
+            if (index?.slots?.some(slot => slot.id === index.activeSlot)) {
+                return index;
+            }
+        } catch (e) {
+            console.error('Failed to read save slots:', e);
+        }
+
+        // First run with slots - wrap any existing save in the default slot
+        const index = this.createIndex();
+        const raw = await this.storage.getItem(this.baseKey);
+        if (raw) {
+            try {
+                index.slots[0].meta = this.getSaveMeta(JSON.parse(raw));
+            } catch (e) {
+                // Unreadable save - load() reports it
+            }
+        }
+        return index;
+    }
+
+    async saveIndex() {
+        await this.storage.setItem(this.indexKey, JSON.stringify(this.index));
+    }
+
+    getSlots() {
+        return this.index.slots.map(slot => ({ ...slot, active: slot.id === this.activeSlotId }));
+    }
+
+    getSlot(slotId) {
+        return this.index.slots.find(slot => slot.id === slotId) || null;
+    }
+
+    // Summary shown in the slot list, read from serialized save data
+    // Values are coerced to numbers since imported saves can contain anything
+    getSaveMeta(data) {
+        const width = Number(data.grid?.width) || 4;
+        const height = Number(data.grid?.height) || 4;
+        const unlockedColors = new Set(Array.isArray(data.unlockedColors) ? data.unlockedColors : ['black', 'white']);
+        const rankLevel = getHighestRankLevel(Number(data.completedContracts) || 0, Math.min(width, height), unlockedColors);
+
+        return {
+            money: Number(data.money) || 0,
+            rankLevel,
+            rankName: getRank(rankLevel).name,
+            gridWidth: width,
+            gridHeight: height,
+            savedAt: Number(data.savedAt) || null,
+            playTime: Number(data.stats?.playTime) || 0
+        };
+    }
+
+    _validateName(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return { success: false, reason: 'Slot name cannot be empty' };
+        }
+        if (trimmed.length > 40) {
+            return { success: false, reason: 'Slot name is too long' };
+        }
+        return { success: true, name: trimmed };
+    }
+
+    _newSlotId() {
+        let id;
+        do {
+            id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+        } while (this.getSlot(id));
+        return id;
+    }
+
+    // Add an empty slot (it starts a new game when switched to)
+    async createSlot(name) {
+        const check = this._validateName(name);
+        if (!check.success) return check;
+
+        const slot = { id: this._newSlotId(), name: check.name, meta: null };
+        this.index.slots.push(slot);
+        await this.saveIndex();
+        return { success: true, slot };
+    }
+
+    async renameSlot(slotId, name) {
+        const slot = this.getSlot(slotId);
+        if (!slot) {
+            return { success: false, reason: 'Slot not found' };
+        }
+
+        const check = this._validateName(name);
+        if (!check.success) return check;
+
+        slot.name = check.name;
+        await this.saveIndex();
+        return { success: true, slot };
+    }
+
+    async duplicateSlot(slotId) {
+        const source = this.getSlot(slotId);
+        if (!source) {
+            return { success: false, reason: 'Slot not found' };
+        }
+
+        // Copy the live game, not the last autosave
+        if (slotId === this.activeSlotId) {
+            await this.save();
+        }
+
+        const slot = {
+            id: this._newSlotId(),
+            name: `${source.name} (copy)`.slice(0, 40),
+            meta: source.meta ? { ...source.meta } : null
+        };
+
+        try {
+            const raw = await this.storage.getItem(this.getSlotKey(slotId));
+            if (raw) {
+                await this.storage.setItem(this.getSlotKey(slot.id), raw);
+            }
+        } catch (e) {
+            console.error('Failed to duplicate save slot:', e);
+            return { success: false, reason: 'Not enough storage space' };
+        }
+
+        this.index.slots.push(slot);
+        await this.saveIndex();
+        return { success: true, slot };
+    }
+
+    async deleteSlot(slotId) {
+        if (slotId === this.activeSlotId) {
+            return { success: false, reason: 'Switch to another slot before deleting this one' };
+        }
+        if (!this.getSlot(slotId)) {
+            return { success: false, reason: 'Slot not found' };
+        }
+
+        const key = this.getSlotKey(slotId);
+        await this.storage.removeItem(key);
+        await this.storage.removeItem(`${key}_unsupported`);
+        await this.storage.removeItem(`${key}_quarantine`);
+        for (let n = 0; n < BACKUP_COUNT; n++) {
+            await this.storage.removeItem(this.getBackupKey(slotId, n));
+        }
+        this.index.slots = this.index.slots.filter(slot => slot.id !== slotId);
+        await this.saveIndex();
+        return { success: true };
+    }
+
+    /**
+     * Save the current game and make another slot active
+     * The caller reloads the page to start from the new slot
+     */
+    async switchSlot(slotId) {
+        if (!this.getSlot(slotId)) {
+            return { success: false, reason: 'Slot not found' };
+        }
+        if (slotId === this.activeSlotId) {
+            return { success: false, reason: 'Slot is already active' };
+        }
+
+        this.stopAutoSave();
+        await this.save();
+        this.locked = true;
+        this.index.activeSlot = slotId;
+        await this.saveIndex();
+        return { success: true };
+    }
+
+    async _updateMeta(slotId, data) {
+        const slot = this.getSlot(slotId);
+        if (!slot) return;
+        slot.meta = this.getSaveMeta(data);
+        await this.saveIndex();
+    }
+
+    // === SAVE / LOAD (active slot) ===
+
+    // Current game as a checksummed save object
+    createSaveData() {
+        const data = this.gameState.serialize();
+        data.savedAt = Date.now();
+        return addChecksum(data);
     }
 
+    // Queued so an autosave never interleaves with a manual save. Resolves to true on success
     save() {
+        if (this.locked) return Promise.resolve(false);
+
+        // Snapshot now - the game keeps changing while earlier saves are written
+        const data = this.createSaveData();
+        const raw = JSON.stringify(data);
+        const meta = this.getSaveMeta(data);
+        const run = () => this._save(raw, meta);
+        this.saveQueue = this.saveQueue.then(run, run);
+        return this.saveQueue;
+    }
+
+    async _save(raw, meta) {
         try {
-            const data = this.gameState.serialize();
-            data.savedAt = Date.now();
-            localStorage.setItem(this.saveKey, JSON.stringify(data));
+            await this._rotateBackups();
+            await this.storage.setItem(this.saveKey, raw);
+            const slot = this.getSlot(this.activeSlotId);
+            if (slot) {
+                slot.meta = meta;
+                await this.saveIndex();
+            }
             console.log('Game saved');
             return true;
         } catch (e) {
             console.error('Failed to save game:', e);
+            const reason = e?.name === 'QuotaExceededError' ? 'Browser storage is full' : (e?.message || 'Storage error');
+            this.gameState.emit('saveFailed', { reason });
             return false;
         }
     }
 
-    load() {
+    async load() {
+        const raw = await this.storage.getItem(this.saveKey);
+        if (!raw) return false;
+
+        const result = this._readSave(raw, true);
+        if (!result.success) {
+            // Keep a save we can't read yet, so the next save doesn't destroy it
+            if (result.report?.newer) {
+                await this.storage.setItem(this.unsupportedKey, raw);
+            } else {
+                await this._quarantine(raw, result.reason);
+            }
+            return false;
+        }
+
+        if (!this._deserialize(result.data)) {
+            await this._quarantine(raw, 'Save could not be loaded');
+            return false;
+        }
+        this.loadedSavedAt = result.data.savedAt ?? null;
+        return true;
+    }
+
+    // Parse and migrate stored save text (logging the migration when asked)
+    _readSave(raw, log = false) {
+        let data;
         try {
-            const raw = localStorage.getItem(this.saveKey);
-            if (!raw) return false;
+            data = JSON.parse(raw);
+        } catch (e) {
+            return { success: false, reason: 'Save data is damaged (not valid JSON)', report: null };
+        }
+        return log ? this.migrate(data) : migrateSave(data);
+    }
 
-            const data = JSON.parse(raw);
+    _deserialize(data) {
+        try {
             return this.gameState.deserialize(data);
         } catch (e) {
             console.error('Failed to load game:', e);
@@ -34,40 +360,202 @@ export class SaveManager {
         }
     }
 
-    hasSave() {
-        return localStorage.getItem(this.saveKey) !== null;
+    async _quarantine(raw, reason) {
+        console.warn(`Save quarantined: ${reason}`);
+        this.lastLoadFailure = { reason };
+        try {
+            await this.storage.setItem(this.quarantineKey, raw);
+        } catch (e) {
+            console.error('Failed to quarantine save:', e);
+        }
+    }
+
+    // === BACKUPS (active slot) ===
+
+    // Shift the stored save into the backup ring if it is readable and the last backup is old enough
+    async _rotateBackups() {
+        // Saves of the fresh game must not push out the backups the player may still restore
+        if (this.lastLoadFailure) return;
+
+        const slot = this.getSlot(this.activeSlotId);
+        if (slot?.lastBackupAt && Date.now() - slot.lastBackupAt < BACKUP_INTERVAL_MS) return;
+
+        const raw = await this.storage.getItem(this.saveKey);
+        if (!raw || !this._readSave(raw).success) return;
+
+        try {
+            for (let n = BACKUP_COUNT - 1; n > 0; n--) {
+                const older = await this.storage.getItem(this.getBackupKey(this.activeSlotId, n - 1));
+                if (older !== null) {
+                    await this.storage.setItem(this.getBackupKey(this.activeSlotId, n), older);
+                }
+            }
+            await this.storage.setItem(this.getBackupKey(this.activeSlotId, 0), raw);
+            if (slot) slot.lastBackupAt = Date.now();
+        } catch (e) {
+            // The save itself matters more than its backups
+            console.warn('Backup skipped:', e);
+        }
+    }
+
+    // Readable backups of the active slot, newest first
+    async getBackups() {
+        const backups = [];
+        for (let n = 0; n < BACKUP_COUNT; n++) {
+            const raw = await this.storage.getItem(this.getBackupKey(this.activeSlotId, n));
+            if (!raw) continue;
+
+            const result = this._readSave(raw);
+            if (result.success) {
+                backups.push({ number: n, meta: this.getSaveMeta(result.data) });
+            }
+        }
+        return backups;
+    }
+
+    async restoreBackup(number) {
+        const raw = await this.storage.getItem(this.getBackupKey(this.activeSlotId, number));
+        if (!raw) {
+            return { success: false, reason: 'Backup not found' };
+        }
+
+        const result = this._readSave(raw, true);
+        if (!result.success) {
+            return { success: false, reason: result.reason };
+        }
+        if (!this._deserialize(result.data)) {
+            return { success: false, reason: 'Backup could not be loaded' };
+        }
+
+        // Cleared after saving, so a fresh game started after a failed load isn't backed up
+        await this.save();
+        this.lastLoadFailure = null;
+        return { success: true };
     }
 
-    deleteSave() {
-        localStorage.removeItem(this.saveKey);
+    // The player kept the new game instead of restoring - backups rotate again from the next save
+    dismissRecovery() {
+        this.lastLoadFailure = null;
+    }
+
+    // Run a raw save through the migrations and log what changed
+    migrate(data) {
+        const result = migrateSave(data);
+        this.lastLoadReport = result.report;
+
+        if (!result.success) {
+            console.warn(`Save not loaded: ${result.reason}`);
+        } else if (result.report.steps.length > 0 || result.report.dropped.length > 0) {
+            console.log(formatMigrationReport(result.report));
+        }
+        return result;
+    }
+
+    async hasSave() {
+        return (await this.storage.getItem(this.saveKey)) !== null;
+    }
+
+    async deleteSave() {
+        await this.storage.removeItem(this.saveKey);
+        const slot = this.getSlot(this.activeSlotId);
+        if (slot) {
+            slot.meta = null;
+            await this.saveIndex();
+        }
         console.log('Save deleted');
     }
 
-    exportSave() {
-        const data = this.gameState.serialize();
-        data.savedAt = Date.now();
-        return btoa(JSON.stringify(data));
+    // === EXPORT / IMPORT (any slot, active by default) ===
+
+    async exportSave(slotId = this.activeSlotId) {
+        if (slotId === this.activeSlotId) {
+            return encodeSaveCode(JSON.stringify(this.createSaveData()));
+        }
+
+        const raw = await this.storage.getItem(this.getSlotKey(slotId));
+        return raw ? encodeSaveCode(raw) : null;
     }
 
-    importSave(encodedData) {
+    /**
+     * Decode and migrate an export string without loading it
+     * @returns {{ success: boolean, reason?: string, data?: object, meta?: object, report?: object }}
+     */
+    parseSaveCode(encodedData) {
+        const code = (encodedData || '').trim();
+        if (!code) {
+            return { success: false, reason: 'Save code is empty' };
+        }
+
+        let json;
         try {
-            const data = JSON.parse(atob(encodedData));
-            return this.gameState.deserialize(data);
+            json = decodeSaveCode(code);
+        } catch (e) {
+            return { success: false, reason: 'Not a save code (invalid characters)' };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            return { success: false, reason: 'Save code is incomplete or damaged' };
+        }
+
+        const result = this.migrate(data);
+        if (!result.success) {
+            return { success: false, reason: result.reason, report: result.report };
+        }
+
+        return { success: true, data: result.data, meta: this.getSaveMeta(result.data), report: result.report };
+    }
+
+    async importSave(encodedData, slotId = this.activeSlotId) {
+        const parsed = this.parseSaveCode(encodedData);
+        if (!parsed.success) return parsed;
+        return this.importSaveData(parsed.data, slotId);
+    }
+
+    // Write already migrated save data into a slot
+    async importSaveData(data, slotId = this.activeSlotId) {
+        if (!this.getSlot(slotId)) {
+            return { success: false, reason: 'Slot not found' };
+        }
+
+        // The active slot loads straight into the running game
+        if (slotId === this.activeSlotId) {
+            if (!this._deserialize(data)) {
+                return { success: false, reason: 'Save could not be loaded' };
+            }
+            await this.save();
+            return { success: true };
+        }
+
+        try {
+            await this.storage.setItem(this.getSlotKey(slotId), JSON.stringify(addChecksum(data)));
         } catch (e) {
             console.error('Failed to import save:', e);
-            return false;
+            return { success: false, reason: 'Not enough storage space' };
         }
+        await this._updateMeta(slotId, data);
+        return { success: true };
     }
 
+    // Autosave is counted in game time by the GameLoop (see update)
     startAutoSave(intervalMs = 30000) {
-        this.stopAutoSave();
-        this.autoSaveInterval = setInterval(() => this.save(), intervalMs);
+        this.autoSaveInterval = intervalMs;
+        this.autoSaveElapsed = 0;
     }
 
     stopAutoSave() {
-        if (this.autoSaveInterval) {
-            clearInterval(this.autoSaveInterval);
-            this.autoSaveInterval = null;
+        this.autoSaveInterval = null;
+    }
+
+    update(dt) {
+        if (!this.autoSaveInterval) return;
+
+        this.autoSaveElapsed += dt;
+        if (this.autoSaveElapsed >= this.autoSaveInterval) {
+            this.autoSaveElapsed = 0;
+            this.save();
         }
     }
 }
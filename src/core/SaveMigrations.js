@@ -0,0 +1,189 @@
+import { Grid } from './Grid.js';
+import { verifyChecksum } from './SaveChecksum.js';
+
+/**
+ * Save migration pipeline
+ * Each entry upgrades a raw save by one version (1 -> 2, 2 -> 3, ...). When serialize()
+ * changes, bump CURRENT_SAVE_VERSION and add the step that converts the previous version
+ */
+export const CURRENT_SAVE_VERSION = 9;
+
+// Top-level keys written by GameState.serialize (plus savedAt from SaveManager)
+const KNOWN_KEYS = [
+    'version', 'savedAt', 'grid', 'gridLevel', 'money', 'unlockedColors', 'selectedColor',
+    'selectedTool', 'recentColors', 'quickSlots', 'upgrades', 'automationEnabled',
+    'activeContract', 'completedContracts', 'stats', 'daily', 'customPatterns'
+];
+
+// Set a field only when the save does not have it yet
+function setDefault(save, key, value, report) {
+    if (save[key] === undefined) {
+        save[key] = value;
+        report.migrated.push(`Added ${key} (default)`);
+    }
+}
+
+// Migration steps keyed by the version they upgrade from
+const MIGRATIONS = {
+    1: {
+        description: 'Convert the flat grid cell array to the sparse [x, y, color] list',
+        migrate(save, report) {
+            const grid = save.grid;
+            if (!grid || !Array.isArray(grid.cells) || Array.isArray(grid.cells[0])) return;
+
+            const width = grid.width || 4;
+            const cells = [];
+            grid.cells.forEach((color, i) => {
+                if (color !== null) {
+                    cells.push([i % width, Math.floor(i / width), color]);
+                }
+            });
+            grid.cells = cells;
+            report.migrated.push(`Converted ${cells.length} grid cells to the sparse format`);
+        }
+    },
+    2: {
+        description: 'Automation toggles',
+        migrate(save, report) {
+            setDefault(save, 'automationEnabled', {}, report);
+        }
+    },
+    3: {
+        description: 'Grid level and play stats',
+        migrate(save, report) {
+            setDefault(save, 'gridLevel', 1, report);
+            setDefault(save, 'stats', {}, report);
+
+            const defaults = { totalCellsFilled: 0, totalMoneyEarned: 0, totalContractsCompleted: 0, playTime: 0 };
+            for (const [key, value] of Object.entries(defaults)) {
+                if (typeof save.stats[key] !== 'number') {
+                    save.stats[key] = value;
+                    report.migrated.push(`Added stats.${key} (default)`);
+                }
+            }
+        }
+    },
+    4: {
+        description: 'Selected tool, recent colors and quick slots',
+        migrate(save, report) {
+            setDefault(save, 'selectedTool', 'brush', report);
+            setDefault(save, 'recentColors', [], report);
+            setDefault(save, 'quickSlots', new Array(9).fill(null), report);
+        }
+    },
+    5: {
+        description: 'Pack the grid into palette-indexed runs',
+        migrate(save, report) {
+            const grid = new Grid();
+            grid.deserialize(save.grid || {});
+            save.grid = grid.serialize();
+            report.migrated.push(`Packed ${grid.getFilledCount()} grid cells`);
+        }
+    },
+    6: {
+        description: 'Hand/auto paint counts, sessions and per-rank stats',
+        migrate(save, report) {
+            setDefault(save, 'stats', {}, report);
+
+            const defaults = { cellsPaintedByHand: 0, cellsPaintedByAuto: 0, sessions: 0 };
+            for (const [key, value] of Object.entries(defaults)) {
+                if (typeof save.stats[key] !== 'number') {
+                    save.stats[key] = value;
+                    report.migrated.push(`Added stats.${key} (default)`);
+                }
+            }
+            if (!save.stats.ranks || typeof save.stats.ranks !== 'object') {
+                save.stats.ranks = {};
+                report.migrated.push('Added stats.ranks (default)');
+            }
+        }
+    },
+    7: {
+        description: 'Daily challenge flags, streak and results',
+        migrate(save, report) {
+            setDefault(save, 'daily', {
+                date: null,
+                completedRanks: [],
+                streak: 0,
+                bestStreak: 0,
+                lastCompletedDate: null,
+                results: []
+            }, report);
+        }
+    },
+    8: {
+        description: 'Patterns imported from images',
+        migrate(save, report) {
+            setDefault(save, 'customPatterns', [], report);
+        }
+    }
+};
+
+/**
+ * Upgrade a raw save object to CURRENT_SAVE_VERSION
+ * The input is never modified. Saves from a newer version are refused, not altered,
+ * and saves that fail their checksum are refused instead of half-loaded
+ * @returns {{ success: boolean, data?: object, reason?: string, report: object }}
+ */
+export function migrateSave(save) {
+    const fromVersion = save?.version ?? 1; // The first saves had no version field
+    const report = {
+        fromVersion,
+        toVersion: CURRENT_SAVE_VERSION,
+        newer: false,
+        corrupted: false,
+        steps: [],
+        migrated: [],
+        dropped: []
+    };
+
+    if (!save || typeof save !== 'object' || !Number.isInteger(fromVersion) || fromVersion < 1) {
+        return { success: false, reason: 'Not a valid save', report };
+    }
+    if (fromVersion > CURRENT_SAVE_VERSION) {
+        report.newer = true;
+        return {
+            success: false,
+            reason: `Save is from a newer version (v${fromVersion}, this game reads up to v${CURRENT_SAVE_VERSION})`,
+            report
+        };
+    }
+
+    const integrity = verifyChecksum(save);
+    if (!integrity.success) {
+        report.corrupted = true;
+        return { success: false, reason: integrity.reason, report };
+    }
+
+    const data = structuredClone(save);
+    delete data.checksum;
+    for (let version = fromVersion; version < CURRENT_SAVE_VERSION; version++) {
+        const step = MIGRATIONS[version];
+        if (!step) {
+            return { success: false, reason: `No migration from v${version}`, report };
+        }
+
+        step.migrate(data, report);
+        data.version = version + 1;
+        report.steps.push(`v${version} -> v${version + 1}: ${step.description}`);
+    }
+
+    // Anything the current version does not read would be lost on the next save
+    for (const key of Object.keys(data)) {
+        if (!KNOWN_KEYS.includes(key)) {
+            delete data[key];
+            report.dropped.push(`field ${key} (not read by this version)`);
+        }
+    }
+
+    return { success: true, data, report };
+}
+
+// Human readable summary of a migration report
+export function formatMigrationReport(report) {
+    const lines = [`Save v${report.fromVersion} -> v${report.toVersion}`];
+    for (const step of report.steps) lines.push(`  ${step}`);
+    for (const entry of report.migrated) lines.push(`  + ${entry}`);
+    for (const entry of report.dropped) lines.push(`  - Dropped ${entry}`);
+    return lines.join('\n');
+}
@@ -0,0 +1,125 @@
+/**
+ * Storage backends for SaveManager
+ * Every adapter stores string values by key behind the same async interface:
+ *   getItem(key) -> Promise<string | null>
+ *   setItem(key, value) -> Promise<void>
+ *   removeItem(key) -> Promise<void>
+ */
+
+// Browser localStorage (synchronous underneath, about 5MB per origin)
+export class LocalStorageAdapter {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+// In-memory storage - for running the game headless (Node, tests) or when nothing else works
+export class MemoryStorageAdapter {
+    constructor() {
+        this.items = new Map();
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * IndexedDB storage - async with a much larger quota, used for big grids
+ * Keys missing here are read from an optional legacy adapter, so saves made
+ * before the switch to IndexedDB keep loading; the next save moves them over
+ */
+export class IndexedDBAdapter {
+    constructor({ dbName = 'gridIncremental', storeName = 'saves', legacy = null } = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.legacy = legacy;
+        this.dbPromise = null;
+    }
+
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run one request in its own transaction and resolve once the transaction commits
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this._request('readonly', store => store.get(key));
+        if (value !== undefined) return value;
+        return this.legacy ? this.legacy.getItem(key) : null;
+    }
+
+    async setItem(key, value) {
+        await this._request('readwrite', store => store.put(String(value), key));
+    }
+
+    async removeItem(key) {
+        await this._request('readwrite', store => store.delete(key));
+        await this.legacy?.removeItem(key);
+    }
+}
+
+/**
+ * Pick the best available backend: IndexedDB (reading old localStorage saves),
+ * then localStorage, then memory
+ */
+export async function createStorageAdapter() {
+    let local = null;
+    try {
+        if (globalThis.localStorage) {
+            local = new LocalStorageAdapter();
+        }
+    } catch (e) {
+        // Accessing localStorage throws when storage is disabled
+    }
+
+    if (globalThis.indexedDB) {
+        const adapter = new IndexedDBAdapter({ legacy: local });
+        try {
+            await adapter._open();
+            return adapter;
+        } catch (e) {
+            // Private browsing modes can refuse IndexedDB
+            console.warn('IndexedDB unavailable, falling back:', e);
+        }
+    }
+    return local ?? new MemoryStorageAdapter();
+}
@@ -0,0 +1,717 @@
+/**
+ * Built-in pattern generators for contracts
+ * Each entry declares the complexities it is offered for, the smallest grid it needs, whether
+ * it can paint with several colors at once, and its weight when one is picked at random.
+ * generate(pattern, colors, targetCells, random) paints into an empty pattern grid
+ */
+export const PATTERN_GENERATORS = [
+    { id: 'line', complexities: ['simple', 'basic'], minGridSize: 4, mixColors: false, weight: 1, generate: generateLine },
+    { id: 'dot_cluster', complexities: ['simple'], minGridSize: 4, mixColors: true, weight: 1, generate: generateDotCluster },
+    { id: 'corner', complexities: ['simple'], minGridSize: 4, mixColors: false, weight: 1, generate: generateCorner },
+    { id: 'square', complexities: ['basic', 'medium'], minGridSize: 4, mixColors: false, weight: 1, generate: generateSquare },
+    { id: 'L_shape', complexities: ['basic', 'medium'], minGridSize: 4, mixColors: false, weight: 1, generate: generateLShape },
+    { id: 'T_shape', complexities: ['medium'], minGridSize: 6, mixColors: false, weight: 1, generate: generateTShape },
+    { id: 'cross', complexities: ['medium', 'complex'], minGridSize: 6, mixColors: false, weight: 1, generate: generateCross },
+    { id: 'diagonal', complexities: ['basic', 'medium'], minGridSize: 4, mixColors: false, weight: 1, generate: generateDiagonal },
+    { id: 'hollow_square', complexities: ['complex', 'advanced'], minGridSize: 8, mixColors: false, weight: 1, generate: generateHollowSquare },
+    { id: 'zigzag', complexities: ['complex'], minGridSize: 8, mixColors: false, weight: 1, generate: generateZigzag },
+    { id: 'scattered', complexities: ['complex'], minGridSize: 4, mixColors: true, weight: 1, generate: generateScattered },
+    { id: 'frame_partial', complexities: ['complex'], minGridSize: 8, mixColors: false, weight: 1, generate: generateFramePartial },
+    { id: 'multi_shape', complexities: ['advanced'], minGridSize: 10, mixColors: true, weight: 1, generate: generateMultiShape },
+    { id: 'checkerboard_partial', complexities: ['advanced'], minGridSize: 10, mixColors: true, weight: 1, generate: generateCheckerboardPartial },
+    { id: 'spiral_partial', complexities: ['advanced'], minGridSize: 10, mixColors: true, weight: 1, generate: generateSpiralPartial },
+    { id: 'complex_shape', complexities: ['expert'], minGridSize: 16, mixColors: true, weight: 1, generate: generateComplexShape },
+    { id: 'multi_color_pattern', complexities: ['expert'], minGridSize: 16, mixColors: true, weight: 1, generate: generateMultiColorPattern },
+    { id: 'large_hollow', complexities: ['expert'], minGridSize: 16, mixColors: true, weight: 1, generate: generateLargeHollow },
+    { id: 'maze_section', complexities: ['expert'], minGridSize: 16, mixColors: true, weight: 1, generate: generateMazeSection },
+    { id: 'massive_pattern', complexities: ['master'], minGridSize: 20, mixColors: true, weight: 1, generate: generateMassivePattern },
+    { id: 'intricate_design', complexities: ['master'], minGridSize: 20, mixColors: true, weight: 1, generate: generateIntricateDesign },
+    { id: 'full_artwork', complexities: ['master'], minGridSize: 20, mixColors: true, weight: 1, generate: generateFullArtwork }
+];
+
+// Fallback for ids with no registered generator
+export const DEFAULT_PATTERN_GENERATOR = 'scattered';
+
+function generateLine(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+    const horizontal = random.next() > 0.5;
+    const length = Math.min(targetCells, horizontal ? w : h);
+
+    if (horizontal) {
+        const y = Math.floor(random.next() * h);
+        const startX = Math.floor(random.next() * (w - length + 1));
+        for (let i = 0; i < length; i++) {
+            pattern[y][startX + i] = color;
+        }
+    } else {
+        const x = Math.floor(random.next() * w);
+        const startY = Math.floor(random.next() * (h - length + 1));
+        for (let i = 0; i < length; i++) {
+            pattern[startY + i][x] = color;
+        }
+    }
+}
+
+function generateDotCluster(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const centerX = Math.floor(random.next() * w);
+    const centerY = Math.floor(random.next() * h);
+    let placed = 0;
+
+    for (let radius = 0; radius <= 2 && placed < targetCells; radius++) {
+        for (let dy = -radius; dy <= radius && placed < targetCells; dy++) {
+            for (let dx = -radius; dx <= radius && placed < targetCells; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x >= 0 && x < w && y >= 0 && y < h && pattern[y][x] === null) {
+                    pattern[y][x] = colors[Math.floor(random.next() * colors.length)];
+                    placed++;
+                }
+            }
+        }
+    }
+}
+
+function generateCorner(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+
+    // Pick a corner
+    const corners = [[0, 0], [w - 1, 0], [0, h - 1], [w - 1, h - 1]];
+    const [cx, cy] = corners[Math.floor(random.next() * corners.length)];
+    const dx = cx === 0 ? 1 : -1;
+    const dy = cy === 0 ? 1 : -1;
+
+    let placed = 0;
+    for (let i = 0; i < 3 && placed < targetCells; i++) {
+        const x = cx + dx * i;
+        const y = cy;
+        if (x >= 0 && x < w) {
+            pattern[y][x] = color;
+            placed++;
+        }
+    }
+    for (let i = 1; i < 3 && placed < targetCells; i++) {
+        const x = cx;
+        const y = cy + dy * i;
+        if (y >= 0 && y < h) {
+            pattern[y][x] = color;
+            placed++;
+        }
+    }
+}
+
+function generateSquare(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+    const size = Math.ceil(Math.sqrt(targetCells));
+    const actualSize = Math.min(size, h, w);
+
+    const startX = Math.floor(random.next() * (w - actualSize + 1));
+    const startY = Math.floor(random.next() * (h - actualSize + 1));
+
+    let placed = 0;
+    for (let dy = 0; dy < actualSize && placed < targetCells; dy++) {
+        for (let dx = 0; dx < actualSize && placed < targetCells; dx++) {
+            pattern[startY + dy][startX + dx] = color;
+            placed++;
+        }
+    }
+}
+
+function generateLShape(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+
+    const armLength = Math.ceil(targetCells / 2);
+    const startX = Math.floor(random.next() * (w - armLength));
+    const startY = Math.floor(random.next() * (h - armLength));
+
+    let placed = 0;
+    // Vertical arm
+    for (let i = 0; i < armLength && placed < targetCells; i++) {
+        pattern[startY + i][startX] = color;
+        placed++;
+    }
+    // Horizontal arm
+    for (let i = 1; i < armLength && placed < targetCells; i++) {
+        pattern[startY + armLength - 1][startX + i] = color;
+        placed++;
+    }
+}
+
+function generateTShape(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+
+    const armLength = Math.ceil(targetCells / 4) + 1;
+    const centerX = Math.floor(w / 2);
+    const centerY = Math.floor(h / 2);
+
+    let placed = 0;
+    // Horizontal top
+    for (let i = -armLength; i <= armLength && placed < targetCells; i++) {
+        const x = centerX + i;
+        if (x >= 0 && x < w) {
+            pattern[centerY][x] = color;
+            placed++;
+        }
+    }
+    // Vertical stem
+    for (let i = 1; i <= armLength && placed < targetCells; i++) {
+        const y = centerY + i;
+        if (y < h) {
+            pattern[y][centerX] = color;
+            placed++;
+        }
+    }
+}
+
+function generateCross(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+
+    const centerX = Math.floor(w / 2);
+    const centerY = Math.floor(h / 2);
+    const armLength = Math.ceil(targetCells / 4);
+
+    let placed = 0;
+    // Center
+    pattern[centerY][centerX] = color;
+    placed++;
+
+    // Arms
+    for (let i = 1; i <= armLength && placed < targetCells; i++) {
+        if (centerY - i >= 0) { pattern[centerY - i][centerX] = color; placed++; }
+        if (placed >= targetCells) break;
+        if (centerY + i < h) { pattern[centerY + i][centerX] = color; placed++; }
+        if (placed >= targetCells) break;
+        if (centerX - i >= 0) { pattern[centerY][centerX - i] = color; placed++; }
+        if (placed >= targetCells) break;
+        if (centerX + i < w) { pattern[centerY][centerX + i] = color; placed++; }
+    }
+}
+
+function generateDiagonal(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+    const direction = random.next() > 0.5 ? 1 : -1;
+
+    const startX = direction > 0 ? 0 : w - 1;
+    const startY = Math.floor(random.next() * (h - targetCells));
+
+    for (let i = 0; i < targetCells; i++) {
+        const x = startX + direction * i;
+        const y = startY + i;
+        if (x >= 0 && x < w && y >= 0 && y < h) {
+            pattern[y][x] = color;
+        }
+    }
+}
+
+function generateHollowSquare(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+
+    // Size based on perimeter = targetCells, so side = (targetCells + 4) / 4
+    const side = Math.max(3, Math.ceil((targetCells + 4) / 4));
+    const actualSide = Math.min(side, h, w);
+
+    const startX = Math.floor(random.next() * (w - actualSide + 1));
+    const startY = Math.floor(random.next() * (h - actualSide + 1));
+
+    let placed = 0;
+    for (let i = 0; i < actualSide && placed < targetCells; i++) {
+        pattern[startY][startX + i] = color; placed++;
+        if (placed >= targetCells) break;
+        pattern[startY + actualSide - 1][startX + i] = color; placed++;
+    }
+    for (let i = 1; i < actualSide - 1 && placed < targetCells; i++) {
+        pattern[startY + i][startX] = color; placed++;
+        if (placed >= targetCells) break;
+        pattern[startY + i][startX + actualSide - 1] = color; placed++;
+    }
+}
+
+function generateZigzag(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+
+    let x = Math.floor(random.next() * (w - 2));
+    let y = 0;
+    let direction = 1;
+    let placed = 0;
+
+    while (placed < targetCells && y < h) {
+        pattern[y][x] = color;
+        placed++;
+        y++;
+        x += direction;
+        if (x >= w - 1 || x <= 0) direction *= -1;
+    }
+}
+
+function generateScattered(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    let placed = 0;
+
+    while (placed < targetCells) {
+        const x = Math.floor(random.next() * w);
+        const y = Math.floor(random.next() * h);
+        if (pattern[y][x] === null) {
+            pattern[y][x] = colors[Math.floor(random.next() * colors.length)];
+            placed++;
+        }
+    }
+}
+
+function generateFramePartial(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color = colors[Math.floor(random.next() * colors.length)];
+    let placed = 0;
+
+    // Top and bottom partial
+    for (let x = 0; x < w && placed < targetCells / 2; x += 2) {
+        pattern[0][x] = color; placed++;
+        if (h > 1) { pattern[h - 1][x] = color; placed++; }
+    }
+    // Left and right partial
+    for (let y = 1; y < h - 1 && placed < targetCells; y += 2) {
+        pattern[y][0] = color; placed++;
+        if (w > 1) { pattern[y][w - 1] = color; placed++; }
+    }
+}
+
+function generateCheckerboardPartial(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const color1 = colors[0];
+    const color2 = colors.length > 1 ? colors[1] : colors[0];
+
+    let placed = 0;
+    const centerX = Math.floor(w / 2);
+    const centerY = Math.floor(h / 2);
+    const radius = Math.ceil(Math.sqrt(targetCells / 2));
+
+    for (let dy = -radius; dy <= radius && placed < targetCells; dy++) {
+        for (let dx = -radius; dx <= radius && placed < targetCells; dx++) {
+            const x = centerX + dx;
+            const y = centerY + dy;
+            if (x >= 0 && x < w && y >= 0 && y < h) {
+                pattern[y][x] = (x + y) % 2 === 0 ? color1 : color2;
+                placed++;
+            }
+        }
+    }
+}
+
+// Advanced generators build an ordered list of { x, y, color } cells and let placeCells hit the exact target
+
+/**
+ * Place cells in order until targetCells are filled, skipping taken or out-of-bounds cells
+ * If the shape runs short (clipped by the grid or overlapping itself), it grows outward
+ * from the cells already placed, so the target is always met when the grid has room
+ */
+function placeCells(pattern, cells, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const placed = [];
+
+    for (const { x, y, color } of cells) {
+        if (placed.length >= targetCells) break;
+        if (x < 0 || x >= w || y < 0 || y >= h || pattern[y][x] !== null) continue;
+        pattern[y][x] = color;
+        placed.push({ x, y, color });
+    }
+
+    if (placed.length === 0 && targetCells > 0 && cells.length > 0) {
+        const x = random.int(w);
+        const y = random.int(h);
+        pattern[y][x] = cells[0].color;
+        placed.push({ x, y, color: cells[0].color });
+    }
+
+    for (let i = 0; i < placed.length && placed.length < targetCells; i++) {
+        const { x, y, color } = placed[i];
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (placed.length >= targetCells) break;
+            if (nx < 0 || nx >= w || ny < 0 || ny >= h || pattern[ny][nx] !== null) continue;
+            pattern[ny][nx] = color;
+            placed.push({ x: nx, y: ny, color });
+        }
+    }
+
+    return placed.length;
+}
+
+// A few distinct colors in random order
+function pickPalette(colors, count, random) {
+    const pool = [...colors];
+    const palette = [];
+    while (palette.length < count && pool.length > 0) {
+        palette.push(pool.splice(random.int(pool.length), 1)[0]);
+    }
+    return palette;
+}
+
+// Positions of a simple shape of about `count` cells at a random spot
+function shapeCells(type, count, w, h, random) {
+    const cells = [];
+
+    switch (type) {
+        case 'square': {
+            const side = Math.min(Math.ceil(Math.sqrt(count)), w, h);
+            const startX = random.int(w - side + 1);
+            const startY = random.int(h - side + 1);
+            for (let dy = 0; dy < side; dy++) {
+                for (let dx = 0; dx < side; dx++) cells.push([startX + dx, startY + dy]);
+            }
+            break;
+        }
+        case 'hollow': {
+            const side = Math.min(Math.max(3, Math.ceil(count / 4) + 1), w, h);
+            const startX = random.int(w - side + 1);
+            const startY = random.int(h - side + 1);
+            for (let i = 0; i < side; i++) {
+                cells.push([startX + i, startY], [startX + i, startY + side - 1]);
+            }
+            for (let i = 1; i < side - 1; i++) {
+                cells.push([startX, startY + i], [startX + side - 1, startY + i]);
+            }
+            break;
+        }
+        case 'cross': {
+            const arm = Math.max(1, Math.ceil((count - 1) / 4));
+            const cx = arm + random.int(Math.max(1, w - 2 * arm));
+            const cy = arm + random.int(Math.max(1, h - 2 * arm));
+            cells.push([cx, cy]);
+            for (let i = 1; i <= arm; i++) {
+                cells.push([cx, cy - i], [cx, cy + i], [cx - i, cy], [cx + i, cy]);
+            }
+            break;
+        }
+        default: { // line
+            const horizontal = random.next() > 0.5;
+            const length = Math.min(count, horizontal ? w : h);
+            const startX = horizontal ? random.int(w - length + 1) : random.int(w);
+            const startY = horizontal ? random.int(h) : random.int(h - length + 1);
+            for (let i = 0; i < length; i++) {
+                cells.push(horizontal ? [startX + i, startY] : [startX, startY + i]);
+            }
+        }
+    }
+
+    return cells;
+}
+
+// Two or three simple shapes, each in its own color
+function generateMultiShape(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const shapeCount = 2 + random.int(2);
+    const cells = [];
+
+    let remaining = targetCells;
+    for (let i = 0; i < shapeCount; i++) {
+        const share = i === shapeCount - 1 ? remaining : Math.round(targetCells / shapeCount);
+        remaining -= share;
+
+        const color = random.pick(colors);
+        const type = random.pick(['square', 'hollow', 'cross', 'line']);
+        for (const [x, y] of shapeCells(type, share, w, h, random).slice(0, share)) {
+            cells.push({ x, y, color });
+        }
+    }
+
+    placeCells(pattern, cells, targetCells, random);
+}
+
+// Square spiral out from a point, with a gap between the turns
+function generateSpiralPartial(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const palette = pickPalette(colors, 2, random);
+    const directions = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+    let x = Math.floor(w / 2) + random.int(3) - 1;
+    let y = Math.floor(h / 2) + random.int(3) - 1;
+    const cells = [{ x, y, color: palette[0] }];
+
+    // Segment lengths 2, 2, 4, 4, 6, 6, ... keep one empty cell between turns
+    for (let segment = 0; cells.length < targetCells * 2 && segment < 4 * Math.max(w, h); segment++) {
+        const [dx, dy] = directions[segment % 4];
+        const length = 2 * (Math.floor(segment / 2) + 1);
+        const color = palette[Math.floor(segment / 4) % palette.length]; // One color per full turn
+        for (let i = 0; i < length; i++) {
+            x += dx;
+            y += dy;
+            cells.push({ x, y, color });
+        }
+    }
+
+    placeCells(pattern, cells, targetCells, random);
+}
+
+// Left-right symmetric blob with a core color and a rim color
+function generateComplexShape(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const [core, rim = core] = pickPalette(colors, 2, random);
+    const mid = Math.floor((w - 1) / 2);
+
+    const startY = Math.floor(h / 4) + random.int(Math.max(1, Math.floor(h / 2)));
+    const taken = new Set();
+    const frontier = [[mid, startY]];
+    const half = [];
+
+    // Grow the left half at random, then mirror each cell
+    while (frontier.length > 0 && half.length * 2 < targetCells) {
+        const [x, y] = frontier.splice(random.int(frontier.length), 1)[0];
+        const key = y * w + x;
+        if (taken.has(key) || x < 0 || x > mid || y < 0 || y >= h) continue;
+        taken.add(key);
+        half.push([x, y]);
+        frontier.push([x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]);
+    }
+
+    const cells = [];
+    half.forEach(([x, y], i) => {
+        const color = i < half.length / 2 ? core : rim;
+        cells.push({ x, y, color }, { x: w - 1 - x, y, color });
+    });
+
+    placeCells(pattern, cells, targetCells, random);
+}
+
+// A block of diagonal stripes in several colors
+function generateMultiColorPattern(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const palette = pickPalette(colors, 4, random);
+    const bandWidth = 1 + random.int(2);
+
+    const width = Math.min(w, Math.ceil(Math.sqrt(targetCells)) + random.int(3));
+    const height = Math.min(h, Math.ceil(targetCells / width));
+    const startX = random.int(w - width + 1);
+    const startY = random.int(h - height + 1);
+
+    const cells = [];
+    for (let dy = 0; dy < height; dy++) {
+        for (let dx = 0; dx < width; dx++) {
+            const color = palette[Math.floor((dx + dy) / bandWidth) % palette.length];
+            cells.push({ x: startX + dx, y: startY + dy, color });
+        }
+    }
+
+    placeCells(pattern, cells, targetCells, random);
+}
+
+// Big rectangular frame, with inner frames when one doesn't reach the target
+function generateLargeHollow(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const palette = pickPalette(colors, 3, random);
+
+    const side = Math.max(3, Math.ceil((targetCells + 4) / 4));
+    const width = Math.min(w, side + random.int(3));
+    const height = Math.min(h, side);
+    const startX = random.int(w - width + 1);
+    const startY = random.int(h - height + 1);
+
+    const cells = [];
+    for (let ring = 0; 2 * ring * 2 < Math.min(width, height) - 2; ring++) {
+        const inset = ring * 2; // Leave a gap between frames
+        const x0 = startX + inset;
+        const y0 = startY + inset;
+        const x1 = startX + width - 1 - inset;
+        const y1 = startY + height - 1 - inset;
+        const color = palette[ring % palette.length];
+
+        // Clockwise from the top-left corner, so a partial frame stays connected
+        for (let x = x0; x <= x1; x++) cells.push({ x, y: y0, color });
+        for (let y = y0 + 1; y <= y1; y++) cells.push({ x: x1, y, color });
+        for (let x = x1 - 1; x >= x0; x--) cells.push({ x, y: y1, color });
+        for (let y = y1 - 1; y > y0; y--) cells.push({ x: x0, y, color });
+    }
+
+    placeCells(pattern, cells, targetCells, random);
+}
+
+// Corridors of a maze carved by a randomized depth-first search
+function generateMazeSection(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const [wall, start = wall] = pickPalette(colors, 2, random);
+
+    // Maze nodes sit on every other cell; n nodes carve 2n - 1 cells
+    const nodesNeeded = Math.ceil((targetCells + 1) / 2);
+    const cols = Math.max(1, Math.min(Math.ceil((w + 1) / 2), Math.ceil(Math.sqrt(nodesNeeded))));
+    const rows = Math.max(1, Math.min(Math.ceil((h + 1) / 2), Math.ceil(nodesNeeded / cols)));
+    const startX = random.int(Math.max(1, w - (2 * cols - 1) + 1));
+    const startY = random.int(Math.max(1, h - (2 * rows - 1) + 1));
+
+    const visited = new Set();
+    const first = [random.int(cols), random.int(rows)];
+    const stack = [first];
+    visited.add(first[1] * cols + first[0]);
+    const cells = [{ x: startX + first[0] * 2, y: startY + first[1] * 2, color: start }];
+
+    while (stack.length > 0) {
+        const [cx, cy] = stack[stack.length - 1];
+        const next = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+            .map(([dx, dy]) => [cx + dx, cy + dy, dx, dy])
+            .filter(([nx, ny]) => nx >= 0 && nx < cols && ny >= 0 && ny < rows && !visited.has(ny * cols + nx));
+
+        if (next.length === 0) {
+            stack.pop();
+            continue;
+        }
+
+        const [nx, ny, dx, dy] = random.pick(next);
+        visited.add(ny * cols + nx);
+        stack.push([nx, ny]);
+        cells.push(
+            { x: startX + cx * 2 + dx, y: startY + cy * 2 + dy, color: wall },
+            { x: startX + nx * 2, y: startY + ny * 2, color: wall }
+        );
+    }
+
+    placeCells(pattern, cells, targetCells, random);
+}
+
+// Large filled disc with colored rings
+function generateMassivePattern(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const palette = pickPalette(colors, 4, random);
+    const radius = Math.ceil(Math.sqrt(targetCells / Math.PI)) + 1;
+    const bandWidth = Math.max(1, Math.ceil(radius / palette.length));
+
+    const cx = Math.min(w - 1, Math.max(0, radius - 1 + random.int(Math.max(1, w - 2 * radius + 2))));
+    const cy = Math.min(h - 1, Math.max(0, radius - 1 + random.int(Math.max(1, h - 2 * radius + 2))));
+
+    // Only the bounding box is scanned, so huge grids stay cheap
+    const cells = [];
+    for (let y = cy - radius - 1; y <= cy + radius + 1; y++) {
+        for (let x = cx - radius - 1; x <= cx + radius + 1; x++) {
+            const distance = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
+            cells.push({ x, y, distance, color: palette[Math.floor(distance / bandWidth) % palette.length] });
+        }
+    }
+    cells.sort((a, b) => a.distance - b.distance);
+
+    placeCells(pattern, cells, targetCells, random);
+}
+
+// Four-way mirrored lace motif around the grid center
+function generateIntricateDesign(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const palette = pickPalette(colors, 3, random);
+    const cx = Math.floor(w / 2);
+    const cy = Math.floor(h / 2);
+    const size = Math.min(cx, cy, Math.ceil(Math.sqrt(targetCells)));
+
+    // Motif cells in one quadrant, nearest the center first
+    const motif = [];
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            if (random.next() < 0.55) motif.push([dx, dy]);
+        }
+    }
+    motif.sort((a, b) => Math.max(a[0], a[1]) - Math.max(b[0], b[1]));
+
+    const cells = [];
+    for (const [dx, dy] of motif) {
+        const color = palette[Math.max(dx, dy) % palette.length];
+        cells.push(
+            { x: cx + dx, y: cy + dy, color },
+            { x: cx - 1 - dx, y: cy + dy, color },
+            { x: cx + dx, y: cy - 1 - dy, color },
+            { x: cx - 1 - dx, y: cy - 1 - dy, color }
+        );
+    }
+
+    placeCells(pattern, cells, targetCells, random);
+}
+
+// Small landscape: rolling ground, a sun and a tree
+function generateFullArtwork(pattern, colors, targetCells, random) {
+    const h = pattern.length;
+    const w = pattern[0].length;
+    const prefer = (...wanted) => wanted.find(c => colors.includes(c)) ?? random.pick(colors);
+
+    const groundColor = prefer('green', 'brown', 'black');
+    const sunColor = prefer('yellow', 'orange', 'red');
+    const trunkColor = prefer('brown', 'orange', 'red', 'black');
+    const leafColor = prefer('green', 'cyan', 'blue');
+
+    // Scene box, centered on the grid
+    const size = Math.min(w, h, Math.max(10, Math.ceil(Math.sqrt(targetCells * 3))));
+    const left = Math.floor((w - size) / 2);
+    const top = Math.floor((h - size) / 2);
+    const bottom = top + size - 1;
+
+    const groundShare = Math.round(targetCells * 0.45);
+    const sunShare = Math.round(targetCells * 0.2);
+    const treeShare = targetCells - groundShare - sunShare;
+
+    // Ground - sine hills, filled column by column from the bottom
+    const ground = [];
+    const base = Math.max(1, Math.round(groundShare / size) - 1);
+    const phase = random.next() * Math.PI * 2;
+    const heights = [];
+    for (let dx = 0; dx < size; dx++) {
+        const height = Math.max(1, base + Math.round(Math.sin(dx * 0.5 + phase) * 1.5));
+        heights.push(height);
+        for (let i = 0; i < height; i++) ground.push({ x: left + dx, y: bottom - i, color: groundColor });
+    }
+
+    // Sun - a disc in a top corner
+    const sun = [];
+    const sunRadius = Math.max(1, Math.round(Math.sqrt(sunShare / Math.PI)));
+    const sunX = random.next() < 0.5 ? left + sunRadius : left + size - 1 - sunRadius;
+    const sunY = top + sunRadius;
+    for (let y = sunY - sunRadius; y <= sunY + sunRadius; y++) {
+        for (let x = sunX - sunRadius; x <= sunX + sunRadius; x++) {
+            if ((x - sunX) ** 2 + (y - sunY) ** 2 <= sunRadius * sunRadius + 1) sun.push({ x, y, color: sunColor });
+        }
+    }
+
+    // Tree - a trunk on the ground with a round crown
+    const tree = [];
+    const treeDx = Math.floor(size / 2) + random.int(3) - 1;
+    const treeX = left + treeDx;
+    const groundTop = bottom - heights[Math.min(size - 1, Math.max(0, treeDx))];
+    const trunkHeight = Math.max(2, Math.round(treeShare / 5));
+    for (let i = 0; i < trunkHeight; i++) tree.push({ x: treeX, y: groundTop - i, color: trunkColor });
+    const crownRadius = Math.max(1, Math.round(Math.sqrt((treeShare - trunkHeight) / Math.PI)));
+    const crownY = groundTop - trunkHeight - crownRadius + 1;
+    for (let y = crownY - crownRadius; y <= crownY + crownRadius; y++) {
+        for (let x = treeX - crownRadius; x <= treeX + crownRadius; x++) {
+            if ((x - treeX) ** 2 + (y - crownY) ** 2 <= crownRadius * crownRadius + 1) tree.push({ x, y, color: leafColor });
+        }
+    }
+
+    // Each element gets its share first; leftovers make up for clipped elements
+    const cells = [
+        ...ground.slice(0, groundShare), ...sun.slice(0, sunShare), ...tree.slice(0, treeShare),
+        ...ground.slice(groundShare), ...tree.slice(treeShare), ...sun.slice(sunShare)
+    ];
+    placeCells(pattern, cells, targetCells, random);
+}
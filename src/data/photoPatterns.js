@@ -1,3 +1,5 @@
+import { Random } from '../core/Random.js';
+
 /**
  * Photo-based pixel art patterns for higher rank contracts
  * These are simplified representations of real objects
@@ -177,9 +179,11 @@ export const PATTERNS_12x12 = [
  * Get a random pattern appropriate for the grid size and available colors
  * @param {number} gridSize - The grid size
  * @param {string[]} availableColors - Colors the player has unlocked
+ * @param {Random} random - Seeded source of randomness (see core/Random.js)
+ * @param {object[]} customPatterns - Player imported patterns (see core/PatternImporter.js)
  * @returns {object|null} - Pattern object or null if none available
  */
-export function getRandomPhotoPattern(gridSize, availableColors) {
+export function getRandomPhotoPattern(gridSize, availableColors, random = new Random(), customPatterns = []) {
     let patterns;
 
     if (gridSize >= 12) {
@@ -190,6 +194,10 @@ export function getRandomPhotoPattern(gridSize, availableColors) {
         patterns = PATTERNS_8x8;
     }
 
+    // Imported patterns can be any size, so only take ones that fit
+    const fitting = customPatterns.filter(p => p.pattern.length <= gridSize && (p.pattern[0]?.length || 0) <= gridSize);
+    patterns = [...patterns, ...fitting];
+
     // Filter to patterns that only use available colors
     const validPatterns = patterns.filter(p => {
         const usedColors = new Set();
@@ -203,7 +211,7 @@ export function getRandomPhotoPattern(gridSize, availableColors) {
 
     if (validPatterns.length === 0) return null;
 
-    return validPatterns[Math.floor(Math.random() * validPatterns.length)];
+    return random.pick(validPatterns);
 }
 
 /**
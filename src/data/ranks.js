@@ -148,6 +148,21 @@ export function canAccessRank(rank, completedContracts, gridSize, unlockedColors
     return true;
 }
 
+// Highest rank level reachable in order (stops at the first rank not met)
+export function getHighestRankLevel(completedContracts, gridSize, unlockedColors) {
+    let highest = 1;
+
+    for (let level = 1; level <= getMaxRank(); level++) {
+        if (canAccessRank(getRank(level), completedContracts, gridSize, unlockedColors)) {
+            highest = level;
+        } else {
+            break;
+        }
+    }
+
+    return highest;
+}
+
 // Get what's missing to access a rank
 export function getMissingRequirements(rank, completedContracts, gridSize, unlockedColors) {
     const missing = {
@@ -0,0 +1,99 @@
+/**
+ * Canvas tool definitions
+ * Tools other than the brush are unlocked by buying an upgrade
+ */
+export const TOOLS = {
+    brush: {
+        id: 'brush',
+        name: 'Brush',
+        label: 'Brush',
+        shortcut: 'b',
+        description: 'Paint cells (left click) or erase them (right click)'
+    },
+    bucket: {
+        id: 'bucket',
+        name: 'Bucket Fill',
+        label: 'Fill',
+        shortcut: 'g',
+        description: 'Fill a connected area of the same color',
+        requires: { upgrade: 'bucket_fill', level: 1 }
+    },
+    line: {
+        id: 'line',
+        name: 'Line',
+        label: 'Line',
+        shortcut: 'l',
+        description: 'Drag to draw a straight or diagonal line',
+        shape: 'line',
+        requires: { upgrade: 'shape_tools', level: 1 }
+    },
+    rect: {
+        id: 'rect',
+        name: 'Rectangle',
+        label: 'Rect',
+        shortcut: 'r',
+        description: 'Drag to draw a hollow rectangle',
+        shape: 'rect',
+        filled: false,
+        requires: { upgrade: 'shape_tools', level: 2 }
+    },
+    rect_filled: {
+        id: 'rect_filled',
+        name: 'Filled Rectangle',
+        label: 'Box',
+        shortcut: 't',
+        description: 'Drag to draw a filled rectangle',
+        shape: 'rect',
+        filled: true,
+        requires: { upgrade: 'shape_tools', level: 2 }
+    },
+    ellipse: {
+        id: 'ellipse',
+        name: 'Ellipse',
+        label: 'Ellipse',
+        shortcut: 'e',
+        description: 'Drag to draw a hollow ellipse',
+        shape: 'ellipse',
+        filled: false,
+        requires: { upgrade: 'shape_tools', level: 3 }
+    },
+    ellipse_filled: {
+        id: 'ellipse_filled',
+        name: 'Filled Ellipse',
+        label: 'Disc',
+        shortcut: 'o',
+        description: 'Drag to draw a filled ellipse',
+        shape: 'ellipse',
+        filled: true,
+        requires: { upgrade: 'shape_tools', level: 3 }
+    },
+    select: {
+        id: 'select',
+        name: 'Select',
+        label: 'Select',
+        shortcut: 'm',
+        description: 'Drag to select an area, then copy, cut, paste, move or flip it',
+        requires: { upgrade: 'selection_tool', level: 1 }
+    }
+};
+
+// Tool used when nothing else is selected or unlocked
+export const DEFAULT_TOOL = 'brush';
+
+// Get all tools in display order
+export function getAllTools() {
+    return Object.values(TOOLS);
+}
+
+// Check if a tool draws a shape by dragging
+export function isShapeTool(toolId) {
+    return Boolean(TOOLS[toolId]?.shape);
+}
+
+// Check if a tool is unlocked, given a function returning upgrade levels
+export function isToolUnlocked(toolId, getUpgradeLevel) {
+    const tool = TOOLS[toolId];
+    if (!tool) return false;
+    if (!tool.requires) return true;
+    return getUpgradeLevel(tool.requires.upgrade) >= tool.requires.level;
+}
@@ -122,6 +122,60 @@ export const UPGRADES = {
         priority: 6
     },
 
+    // Bucket fill - flood fill connected cells, size limit grows per level
+    bucket_fill: {
+        id: 'bucket_fill',
+        name: 'Bucket Fill',
+        description: 'Fill a connected area of one color. Each level raises the fill limit',
+        baseCost: 300,
+        costMultiplier: 2.5,
+        baseLimit: 50, // Max cells per fill at level 1
+        limitMultiplier: 4, // Limit multiplier per extra level
+        maxLevel: 5,
+        type: 'tool',
+        shopTab: 'upgrades',
+        priority: 7
+    },
+
+    // Shape tools - each level unlocks the next set of shapes
+    shape_tools: {
+        id: 'shape_tools',
+        name: 'Shape Tools',
+        description: 'Drag to draw shapes. Level 1: lines, level 2: rectangles, level 3: ellipses',
+        baseCost: 400,
+        costMultiplier: 3,
+        maxLevel: 3,
+        type: 'tool',
+        shopTab: 'upgrades',
+        priority: 8
+    },
+
+    // Selection tool - copy, paste and move parts of big drawings
+    selection_tool: {
+        id: 'selection_tool',
+        name: 'Selection Tool',
+        description: 'Select an area to copy, cut, paste, move or flip it',
+        baseCost: 3000,
+        costMultiplier: 1,
+        maxLevel: 1,
+        type: 'tool',
+        shopTab: 'upgrades',
+        priority: 9
+    },
+
+    // Mirror mode - reflect painting across movable axes
+    mirror_mode: {
+        id: 'mirror_mode',
+        name: 'Mirror Mode',
+        description: 'Mirror brush strokes and shapes. Level 1: vertical or horizontal axis, level 2: four-way',
+        baseCost: 600,
+        costMultiplier: 3,
+        maxLevel: 2,
+        type: 'tool',
+        shopTab: 'upgrades',
+        priority: 10
+    },
+
     // === AUTOMATION TAB ===
 
     // Auto-start next contract
@@ -0,0 +1,97 @@
+import { GameState } from '../core/GameState.js';
+import { FillSystem } from '../systems/FillSystem.js';
+
+const PATTERN_COLORS = ['black', 'white', 'red', 'blue'];
+
+// Run a step and record how long it took
+function time(results, step, fn) {
+    const start = performance.now();
+    const detail = fn();
+    results.push({ step, ms: Math.round(performance.now() - start), detail });
+}
+
+/**
+ * Grid storage benchmark - paints a full grid and times region queries,
+ * a save round trip and a whole-grid fill on a throwaway game state
+ * Run from the console: game.debug.benchmarkGrid() (defaults to 1000x1000)
+ */
+export function runGridBenchmark(size = 1000) {
+    const gameState = new GameState();
+    const grid = gameState.grid;
+    const fillSystem = new FillSystem(gameState);
+    grid.expand(size, size);
+
+    const results = [];
+
+    // Paint every cell one row at a time, in 8x8 blocks of alternating colors
+    time(results, 'paint full grid', () => {
+        for (let y = 0; y < size; y++) {
+            const row = [];
+            for (let x = 0; x < size; x++) {
+                row.push({ x, y, color: PATTERN_COLORS[((x >> 3) + (y >> 3)) % PATTERN_COLORS.length] });
+            }
+            grid.setCells(row, false);
+        }
+        return `${grid.getFilledCount()} cells`;
+    });
+
+    // Typical viewport-sized queries scattered over the grid
+    time(results, 'region queries (200 x 100x100)', () => {
+        let found = 0;
+        for (let i = 0; i < 200; i++) {
+            const x = (i * 37) % Math.max(1, size - 100);
+            const y = (i * 91) % Math.max(1, size - 100);
+            found += grid.getCellsInRegion(x, y, x + 100, y + 100).length;
+        }
+        return `${found} cells`;
+    });
+
+    time(results, 'region query (full grid)', () => {
+        return `${grid.getCellsInRegion(0, 0, size, size).length} cells`;
+    });
+
+    time(results, 'count color', () => {
+        return PATTERN_COLORS.map(color => `${color}: ${grid.countColor(color)}`).join(', ');
+    });
+
+    // Save round trip on the patterned grid, before the fill below makes it one color
+    let json = '';
+    time(results, 'serialize', () => {
+        const data = grid.serialize();
+        json = JSON.stringify(data);
+        return `${(data.runs.length / 1024).toFixed(1)} KB encoded, ${(json.length / 1024).toFixed(1)} KB JSON`;
+    });
+
+    time(results, 'deserialize', () => {
+        grid.deserialize(JSON.parse(json));
+        return `${grid.getFilledCount()} cells, ${grid.countColor(PATTERN_COLORS[0])} ${PATTERN_COLORS[0]}`;
+    });
+    json = '';
+
+    // Make the whole grid one region, then flood fill all of it
+    time(results, 'repaint to one color', () => {
+        for (let y = 0; y < size; y++) {
+            const row = [];
+            for (let x = 0; x < size; x++) {
+                row.push({ x, y, color: 'black' });
+            }
+            grid.setCells(row, false);
+        }
+        return `${grid.countColor('black')} black`;
+    });
+
+    let region = null;
+    time(results, 'fill: find region', () => {
+        region = fillSystem.findRegion(0, 0, size * size);
+        return `${region.cells.length} cells`;
+    });
+
+    time(results, 'fill: apply', () => {
+        const changed = grid.setCells(region.cells.map(cell => ({ ...cell, color: 'white' })), false);
+        return `${changed} changed`;
+    });
+    region = null;
+
+    console.table(results);
+    return results;
+}
@@ -2,49 +2,30 @@ import { AUTO_PAINTER_CONFIG, getAutoPainterColor } from '../data/upgrades.js';
 
 /**
  * Handles automatic painting of cells when auto painters are enabled
- * Paints cells left-to-right, top-to-bottom toward contract completion
+ * Paints cells left-to-right, top-to-bottom toward contract completion, using the
+ * contract tracker to find the next cell. Driven by the GameLoop
  */
 export class AutoPainterSystem {
     constructor(gameState) {
         this.gameState = gameState;
-        this.lastPaintTime = {};  // Track last paint time per color
-        this.intervalId = null;
+        this.charge = {}; // Time built up per color since its last paint (ms)
     }
 
-    start() {
-        if (this.intervalId) return;
-
-        // Check every 100ms for paint opportunities
-        this.intervalId = setInterval(() => this.tick(), 100);
-    }
-
-    stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
-    }
-
-    tick() {
-        // Only paint if there's an active contract and auto painters are enabled
-        if (!this.gameState.activeContract) return;
-        if (!this.gameState.isAutomationEnabled('auto_painters')) return;
-
-        const now = Date.now();
+    update(dt) {
         const ownedPainters = this.gameState.getOwnedAutoPainters();
+        const active = this.gameState.activeContract && this.gameState.isAutomationEnabled('auto_painters');
 
         for (const painterId of ownedPainters) {
             const colorId = getAutoPainterColor(painterId);
             if (!colorId) continue;
 
+            // A painter that is ready waits (fully charged) until it has something to paint
             const interval = this.getInterval(painterId);
-            const lastPaint = this.lastPaintTime[colorId] || 0;
+            const charge = Math.min((this.charge[colorId] || 0) + dt, interval);
+            this.charge[colorId] = charge;
 
-            if (now - lastPaint >= interval) {
-                const painted = this.paintNextCell(colorId);
-                if (painted) {
-                    this.lastPaintTime[colorId] = now;
-                }
+            if (active && charge >= interval && this.paintNextCell(colorId)) {
+                this.charge[colorId] = 0;
             }
         }
     }
@@ -74,30 +55,18 @@ export class AutoPainterSystem {
 
     /**
      * Find and paint the next cell that needs the specified color
-     * Scans left-to-right, top-to-bottom
+     * Follows the contract tracker's left-to-right, top-to-bottom hint instead of scanning
      */
     paintNextCell(colorId) {
-        const contract = this.gameState.activeContract;
-        if (!contract) return false;
-
-        const pattern = contract.pattern;
-        const grid = this.gameState.grid;
-
-        // Scan left-to-right, top-to-bottom
-        for (let y = 0; y < grid.height; y++) {
-            for (let x = 0; x < grid.width; x++) {
-                const expected = pattern[y]?.[x];
-                const actual = grid.getCell(x, y);
+        const tracker = this.gameState.contractTracker;
+        if (!this.gameState.activeContract || !tracker) return false;
 
-                // If this cell needs this color and doesn't have it yet
-                if (expected === colorId && actual !== colorId) {
-                    grid.setCell(x, y, colorId);
-                    return true;
-                }
-            }
-        }
+        const cell = tracker.findNextCell(colorId);
+        if (!cell) return false; // No cells need this color
 
-        return false; // No cells needed this color
+        // Not recorded in undo history so it can't mix into player strokes
+        this.gameState.withPaintSource('auto', () => this.gameState.grid.setCell(cell.x, cell.y, colorId, false));
+        return true;
     }
 
     /**
@@ -0,0 +1,50 @@
+/**
+ * Turns a single paint or erase action into a batch of cells
+ * The brush is a + shape whose arm length comes from the Multi-Brush upgrade,
+ * reflected by the symmetry system when mirror mode is on
+ */
+export class BrushSystem {
+    constructor(gameState, symmetrySystem = null) {
+        this.gameState = gameState;
+        this.symmetrySystem = symmetrySystem;
+    }
+
+    // Arm length of the + shape (0 = single cell)
+    getRadius() {
+        return this.gameState.getUpgradeLevel('multi_brush');
+    }
+
+    /**
+     * Get all cells covered by the brush centered at (x, y)
+     * Cells outside the grid are dropped; nothing is returned if the center is outside
+     */
+    getFootprint(x, y) {
+        const grid = this.gameState.grid;
+        if (!grid.isValid(x, y)) return [];
+
+        const cells = [{ x, y }];
+        const radius = this.getRadius();
+
+        for (let i = 1; i <= radius; i++) {
+            const arms = [[x, y - i], [x, y + i], [x - i, y], [x + i, y]];
+            for (const [ax, ay] of arms) {
+                if (grid.isValid(ax, ay)) {
+                    cells.push({ x: ax, y: ay });
+                }
+            }
+        }
+
+        return this.symmetrySystem ? this.symmetrySystem.reflect(cells) : cells;
+    }
+
+    // Paint the brush footprint with a color (null erases). Returns number of cells changed
+    paint(x, y, color) {
+        const changes = this.getFootprint(x, y).map(cell => ({ ...cell, color }));
+        if (changes.length === 0) return 0;
+        return this.gameState.grid.setCells(changes);
+    }
+
+    erase(x, y) {
+        return this.paint(x, y, null);
+    }
+}
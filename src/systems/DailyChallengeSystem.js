@@ -0,0 +1,170 @@
+import { getRank, getMaxRank } from '../data/ranks.js';
+import { CONTRACT_GENERATOR_VERSION } from './ContractSystem.js';
+import { seedFromString } from '../core/Random.js';
+
+// Results kept for the daily panel
+const MAX_DAILY_RESULTS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today's challenge date - UTC, so every player shares the same day
+export function getDailyDate(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function previousDate(date) {
+    return getDailyDate(Date.parse(date) - DAY_MS);
+}
+
+/**
+ * Daily challenge - one date-seeded contract per rank, the same for everyone that day
+ * Tracks which ranks are done today, the streak of days with a completed daily, and the
+ * time and mistakes of each run. Results can be shared as a short code
+ */
+export class DailyChallengeSystem {
+    constructor(gameState, contractSystem) {
+        this.gameState = gameState;
+        this.contractSystem = contractSystem;
+
+        this.gameState.on('cellChanged', (change) => this.countMistakes([change]));
+        this.gameState.on('cellsChanged', (changes) => this.countMistakes(changes));
+        this.gameState.on('contractCompleted', (contract) => {
+            if (contract.daily) this.recordCompletion(contract);
+        });
+    }
+
+    // Daily progress, with the per-day flags reset when the date has moved on
+    getState() {
+        const daily = this.gameState.daily;
+        const today = getDailyDate();
+        if (daily.date !== today) {
+            daily.date = today;
+            daily.completedRanks = [];
+        }
+        return daily;
+    }
+
+    isCompletedToday(rankLevel) {
+        return this.getState().completedRanks.includes(rankLevel);
+    }
+
+    // Current streak - broken once a whole day passes without a completed daily
+    getStreak() {
+        const { streak, lastCompletedDate } = this.getState();
+        const today = getDailyDate();
+        return lastCompletedDate === today || lastCompletedDate === previousDate(today) ? streak : 0;
+    }
+
+    // Today's daily for each rank the player can access
+    getAvailable() {
+        const available = [];
+        for (let level = 1; level <= getMaxRank(); level++) {
+            const contract = this.contractSystem.generateDailyContract(level, getDailyDate());
+            if (!contract) continue;
+            available.push({ rank: getRank(level), contract, completed: this.isCompletedToday(level) });
+        }
+        return available;
+    }
+
+    startDaily(rankLevel) {
+        if (this.gameState.activeContract) {
+            return { success: false, reason: 'Already have an active contract' };
+        }
+        if (this.isCompletedToday(rankLevel)) {
+            return { success: false, reason: 'Already completed today' };
+        }
+
+        const contract = this.contractSystem.generateDailyContract(rankLevel, getDailyDate());
+        if (!contract) {
+            return { success: false, reason: 'Cannot access this rank' };
+        }
+
+        contract.daily.startPlayTime = this.gameState.stats.playTime;
+        this.contractSystem.clearOffers();
+        this.gameState.setActiveContract(contract);
+        return { success: true, contract };
+    }
+
+    // A mistake is a color placed on a cell that the pattern wants different
+    // Undo/redo and selection moves only put back cells already painted, so they never count
+    countMistakes(changes) {
+        const contract = this.gameState.activeContract;
+        if (!contract?.daily || !this.gameState.isPainting()) return;
+
+        for (const { x, y, color } of changes) {
+            if (color !== null && contract.pattern[y]?.[x] !== color) {
+                contract.daily.mistakes++;
+            }
+        }
+    }
+
+    recordCompletion(contract) {
+        const daily = this.getState();
+        const { date, mistakes, startPlayTime } = contract.daily;
+
+        if (date === daily.date && !daily.completedRanks.includes(contract.rankLevel)) {
+            daily.completedRanks.push(contract.rankLevel);
+        }
+
+        // The streak counts days, so only the first daily of a day extends it
+        if (daily.lastCompletedDate !== date) {
+            daily.streak = daily.lastCompletedDate === previousDate(date) ? daily.streak + 1 : 1;
+            daily.lastCompletedDate = date;
+            daily.bestStreak = Math.max(daily.bestStreak, daily.streak);
+        }
+
+        const result = {
+            date,
+            rankLevel: contract.rankLevel,
+            time: startPlayTime === null ? null : this.gameState.stats.playTime - startPlayTime,
+            mistakes,
+            streak: daily.streak
+        };
+        daily.results = [result, ...daily.results].slice(0, MAX_DAILY_RESULTS);
+
+        this.gameState.emit('dailyCompleted', { result, code: this.createResultCode(result) });
+    }
+
+    /**
+     * Shareable result, e.g. GRID-20261019-R3-T65-M2-S4-V1-1k9x3c
+     * The trailing hash catches typos and casual edits; it is not a security measure
+     */
+    createResultCode(result) {
+        const body = [
+            'GRID',
+            String(result.date).replaceAll('-', ''),
+            `R${result.rankLevel}`,
+            `T${result.time ?? 'X'}`,
+            `M${result.mistakes}`,
+            `S${result.streak}`,
+            `V${CONTRACT_GENERATOR_VERSION}`
+        ].join('-');
+        return `${body}-${seedFromString(body).toString(36)}`;
+    }
+
+    // Read a friend's result code
+    parseResultCode(code) {
+        const match = /^GRID-(\d{4})(\d{2})(\d{2})-R(\d+)-T(\d+|X)-M(\d+)-S(\d+)-V(\d+)-([0-9a-z]+)$/i.exec(code.trim());
+        if (!match) {
+            return { success: false, reason: 'Not a daily result code' };
+        }
+
+        const body = code.trim().slice(0, code.trim().lastIndexOf('-')).toUpperCase();
+        if (seedFromString(body).toString(36) !== match[9].toLowerCase()) {
+            return { success: false, reason: 'Result code is damaged or was edited' };
+        }
+
+        const [, year, month, day, rank, time, mistakes, streak, version] = match;
+        return {
+            success: true,
+            result: {
+                date: `${year}-${month}-${day}`,
+                rankLevel: Number(rank),
+                time: time.toUpperCase() === 'X' ? null : Number(time),
+                mistakes: Number(mistakes),
+                streak: Number(streak),
+                generatorVersion: Number(version)
+            }
+        };
+    }
+}
@@ -0,0 +1,95 @@
+import { UPGRADES } from '../data/upgrades.js';
+
+/**
+ * Bucket fill tool - flood fills a 4-connected region of one color (or empty cells)
+ * The fill stops at a level-scaled cell limit, so work is bounded even on 1000x1000 grids
+ */
+export class FillSystem {
+    constructor(gameState) {
+        this.gameState = gameState;
+    }
+
+    canFill() {
+        return this.gameState.hasUpgrade('bucket_fill');
+    }
+
+    // Max cells a single fill may change at the current upgrade level
+    getFillLimit() {
+        const level = this.gameState.getUpgradeLevel('bucket_fill');
+        if (level === 0) return 0;
+
+        const upgrade = UPGRADES.bucket_fill;
+        return Math.floor(upgrade.baseLimit * Math.pow(upgrade.limitMultiplier, level - 1));
+    }
+
+    /**
+     * Find the region to fill starting at (x, y), nearest cells first
+     * @returns {{ cells: {x: number, y: number}[], truncated: boolean }}
+     */
+    findRegion(x, y, limit = this.getFillLimit()) {
+        const grid = this.gameState.grid;
+        if (!grid.isValid(x, y) || limit <= 0) {
+            return { cells: [], truncated: false };
+        }
+
+        const width = grid.width;
+        const height = grid.height;
+        const targetColor = grid.getCell(x, y);
+
+        // Breadth-first search over linear indices; only touched cells are tracked
+        const start = y * width + x;
+        const visited = new Set([start]);
+        const queue = [start];
+        const cells = [];
+        let head = 0;
+
+        while (head < queue.length && cells.length < limit) {
+            const index = queue[head++];
+            const cx = index % width;
+            const cy = (index - cx) / width;
+            cells.push({ x: cx, y: cy });
+
+            const neighbors = [
+                cx > 0 ? index - 1 : -1,
+                cx < width - 1 ? index + 1 : -1,
+                cy > 0 ? index - width : -1,
+                cy < height - 1 ? index + width : -1
+            ];
+
+            for (const next of neighbors) {
+                if (next < 0 || visited.has(next)) continue;
+                visited.add(next);
+
+                const nx = next % width;
+                const ny = (next - nx) / width;
+                if (grid.getCell(nx, ny) === targetColor) {
+                    queue.push(next);
+                }
+            }
+        }
+
+        return { cells, truncated: head < queue.length };
+    }
+
+    /**
+     * Fill the region at (x, y) with a color (null erases) as one undo step
+     */
+    fill(x, y, color) {
+        if (!this.canFill()) {
+            return { success: false, reason: 'Requires Bucket Fill' };
+        }
+
+        const grid = this.gameState.grid;
+        if (!grid.isValid(x, y)) {
+            return { success: false, reason: 'Outside the grid' };
+        }
+        if (grid.getCell(x, y) === color) {
+            return { success: false, reason: 'Area is already that color' };
+        }
+
+        const { cells, truncated } = this.findRegion(x, y);
+        const filled = grid.setCells(cells.map(cell => ({ ...cell, color })));
+
+        return { success: true, filled, truncated };
+    }
+}
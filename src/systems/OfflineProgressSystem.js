@@ -0,0 +1,121 @@
+import { getAutoPainterColor } from '../data/upgrades.js';
+
+// Default limit on how much time away is simulated
+export const MAX_OFFLINE_MS = 8 * 60 * 60 * 1000;
+
+// Contracts simulated in one catch-up, so a long absence on a tiny grid stays fast
+const MAX_OFFLINE_CONTRACTS = 200;
+
+/**
+ * Catches up on automation for time the game wasn't running (tab closed or hidden)
+ * Painters work at their live intervals; each contract is applied as one batch of
+ * cells, and finished contracts are replaced when Auto-Start Contract is enabled
+ */
+export class OfflineProgressSystem {
+    constructor(gameState, contractSystem, autoPainterSystem) {
+        this.gameState = gameState;
+        this.contractSystem = contractSystem;
+        this.autoPainterSystem = autoPainterSystem;
+    }
+
+    /**
+     * Apply the progress the auto painters would have made in elapsedMs
+     * Pass capMs: null to simulate the whole absence
+     */
+    apply(elapsedMs, { capMs = MAX_OFFLINE_MS } = {}) {
+        elapsedMs = Math.max(0, elapsedMs || 0);
+        const simulatedMs = capMs === null ? elapsedMs : Math.min(elapsedMs, capMs);
+
+        const summary = {
+            elapsedMs,
+            simulatedMs,
+            capped: simulatedMs < elapsedMs,
+            painted: {}, // color -> cells painted
+            cellsPainted: 0,
+            contractsCompleted: 0,
+            contractsStarted: 0,
+            moneyEarned: 0
+        };
+
+        const painters = this.getPainterIntervals();
+        if (painters.size === 0 || !this.gameState.isAutomationEnabled('auto_painters')) {
+            return summary;
+        }
+
+        const startMoney = this.gameState.money;
+        let remaining = simulatedMs;
+
+        this.gameState.simulating = true;
+        try {
+            // Saved between contracts: Auto-Start would have picked up the next one
+            if (!this.gameState.activeContract && this.gameState.isAutomationEnabled('auto_start_contract')) {
+                if (this.contractSystem.acceptContract().success) {
+                    this.contractSystem.autoStartTimer = null;
+                    summary.contractsStarted++;
+                }
+            }
+
+            while (this.gameState.activeContract && summary.contractsCompleted < MAX_OFFLINE_CONTRACTS) {
+                const contract = this.gameState.activeContract;
+                const { changes, duration } = this.planContract(painters, remaining);
+                if (changes.length === 0) break;
+
+                this.gameState.withPaintSource('auto', () => this.gameState.grid.setCells(changes, false));
+                for (const { color } of changes) {
+                    summary.painted[color] = (summary.painted[color] || 0) + 1;
+                }
+                summary.cellsPainted += changes.length;
+
+                // Still active: out of time, or blocked by a color without a painter or a wrong cell
+                if (this.gameState.activeContract === contract) break;
+
+                summary.contractsCompleted++;
+                remaining -= duration;
+
+                if (!this.gameState.isAutomationEnabled('auto_start_contract')) break;
+                if (!this.contractSystem.acceptContract().success) break;
+                summary.contractsStarted++;
+            }
+        } finally {
+            this.gameState.simulating = false;
+        }
+
+        summary.moneyEarned = this.gameState.money - startMoney;
+        return summary;
+    }
+
+    // Enabled painters as color -> interval in ms
+    getPainterIntervals() {
+        const painters = new Map();
+        for (const painterId of this.gameState.getOwnedAutoPainters()) {
+            const colorId = getAutoPainterColor(painterId);
+            if (colorId) {
+                painters.set(colorId, this.autoPainterSystem.getInterval(painterId));
+            }
+        }
+        return painters;
+    }
+
+    /**
+     * Cells each painter would paint on the active contract within timeMs
+     * duration is how long the slowest painter takes to finish its color
+     */
+    planContract(painters, timeMs) {
+        const tracker = this.gameState.contractTracker;
+        const changes = [];
+        let duration = 0;
+
+        for (const [color, interval] of painters) {
+            const { missing } = tracker.getColorProgress(color);
+            const count = Math.min(missing, Math.floor(timeMs / interval));
+            if (count <= 0) continue;
+
+            for (const { x, y } of tracker.findNextCells(color, count)) {
+                changes.push({ x, y, color });
+            }
+            duration = Math.max(duration, count * interval);
+        }
+
+        return { changes, duration };
+    }
+}
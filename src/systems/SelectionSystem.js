@@ -0,0 +1,232 @@
+/**
+ * Region selection with copy, cut, paste, move and flip
+ * Pasted or moved content floats above the grid until committed as one setCells batch
+ * The clipboard lives here rather than on the grid, so it survives contract changes
+ */
+export class SelectionSystem {
+    constructor(gameState) {
+        this.gameState = gameState;
+
+        this.selection = null; // { x, y, width, height } in grid coords
+        this.clipboard = null; // { width, height, cells: [{ dx, dy, color }] }
+        this.floating = null;  // { x, y, width, height, cells, source: { x, y } | null }
+
+        // Leaving the selection tool drops floating content onto the grid
+        this.gameState.on('toolSelected', (toolId) => {
+            if (toolId !== 'select') {
+                this.commitFloating();
+            }
+        });
+    }
+
+    canSelect() {
+        return this.gameState.hasUpgrade('selection_tool');
+    }
+
+    _notify() {
+        this.gameState.emit('selectionChanged', {
+            selection: this.selection,
+            hasClipboard: this.clipboard !== null,
+            floating: this.floating !== null
+        });
+    }
+
+    // === SELECTION ===
+
+    // Select the rectangle spanned by two cells, clipped to the grid
+    setSelection(x0, y0, x1, y1) {
+        const grid = this.gameState.grid;
+        const minX = Math.max(0, Math.min(x0, x1));
+        const minY = Math.max(0, Math.min(y0, y1));
+        const maxX = Math.min(grid.width - 1, Math.max(x0, x1));
+        const maxY = Math.min(grid.height - 1, Math.max(y0, y1));
+
+        if (maxX < minX || maxY < minY) {
+            this.selection = null;
+        } else {
+            this.selection = { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+        }
+        this._notify();
+        return this.selection;
+    }
+
+    clearSelection() {
+        this.selection = null;
+        this._notify();
+    }
+
+    isInside(rect, x, y) {
+        return rect !== null &&
+            x >= rect.x && x < rect.x + rect.width &&
+            y >= rect.y && y < rect.y + rect.height;
+    }
+
+    // Read the filled cells of a rectangle, relative to its top-left corner
+    _readRegion(rect) {
+        return this.gameState.grid
+            .getCellsInRegion(rect.x, rect.y, rect.x + rect.width, rect.y + rect.height)
+            .map(({ x, y, color }) => ({ dx: x - rect.x, dy: y - rect.y, color }));
+    }
+
+    // === CLIPBOARD ===
+
+    copy() {
+        if (!this.selection) {
+            return { success: false, reason: 'Nothing selected' };
+        }
+
+        const { width, height } = this.selection;
+        this.clipboard = { width, height, cells: this._readRegion(this.selection) };
+        this._notify();
+        return { success: true, count: this.clipboard.cells.length };
+    }
+
+    cut() {
+        const result = this.copy();
+        if (!result.success) return result;
+
+        const { x, y } = this.selection;
+        this.gameState.grid.setCells(this.clipboard.cells.map(({ dx, dy }) => ({
+            x: x + dx,
+            y: y + dy,
+            color: null
+        })));
+        return result;
+    }
+
+    // Float a copy of the clipboard with its top-left at (x, y)
+    paste(x, y) {
+        if (!this.clipboard) {
+            return { success: false, reason: 'Clipboard is empty' };
+        }
+
+        this.commitFloating();
+        const { width, height, cells } = this.clipboard;
+        this.floating = {
+            x,
+            y,
+            width,
+            height,
+            cells: cells.map(cell => ({ ...cell })),
+            source: null
+        };
+        this.selection = null;
+        this._notify();
+        return { success: true };
+    }
+
+    // === FLOATING CONTENT ===
+
+    // Lift the selected cells so they can be dragged; the source is cleared on commit
+    startMove() {
+        if (!this.selection || this.floating) return false;
+
+        const { x, y, width, height } = this.selection;
+        this.floating = {
+            x,
+            y,
+            width,
+            height,
+            cells: this._readRegion(this.selection),
+            source: { x, y }
+        };
+        this.selection = null;
+        this._notify();
+        return true;
+    }
+
+    moveFloatingTo(x, y) {
+        if (!this.floating) return;
+        this.floating.x = x;
+        this.floating.y = y;
+        this._notify();
+    }
+
+    // Write floating content to the grid as a single undo step
+    commitFloating() {
+        if (!this.floating) return 0;
+
+        const { x, y, width, height, cells, source } = this.floating;
+        const changes = new Map(); // "x,y" -> change, so later writes win
+
+        if (source) {
+            for (const { dx, dy } of cells) {
+                const cx = source.x + dx;
+                const cy = source.y + dy;
+                changes.set(`${cx},${cy}`, { x: cx, y: cy, color: null });
+            }
+        }
+        for (const { dx, dy, color } of cells) {
+            const cx = x + dx;
+            const cy = y + dy;
+            changes.set(`${cx},${cy}`, { x: cx, y: cy, color });
+        }
+
+        this.floating = null;
+        const changed = this.gameState.withPaintSource('move', () => this.gameState.grid.setCells([...changes.values()]));
+        this.setSelection(x, y, x + width - 1, y + height - 1);
+        return changed;
+    }
+
+    cancelFloating() {
+        if (!this.floating) return;
+        const { source, width, height } = this.floating;
+        this.floating = null;
+
+        // A cancelled move leaves the original cells selected
+        if (source) {
+            this.setSelection(source.x, source.y, source.x + width - 1, source.y + height - 1);
+        } else {
+            this._notify();
+        }
+    }
+
+    // === FLIP ===
+
+    flipHorizontal() {
+        return this._flip(true);
+    }
+
+    flipVertical() {
+        return this._flip(false);
+    }
+
+    _flip(horizontal) {
+        // Floating content flips in place without touching the grid
+        if (this.floating) {
+            const { width, height } = this.floating;
+            for (const cell of this.floating.cells) {
+                if (horizontal) {
+                    cell.dx = width - 1 - cell.dx;
+                } else {
+                    cell.dy = height - 1 - cell.dy;
+                }
+            }
+            this._notify();
+            return { success: true };
+        }
+
+        if (!this.selection) {
+            return { success: false, reason: 'Nothing selected' };
+        }
+
+        // Mirror the selected region on the grid, including empty cells
+        const { x, y, width, height } = this.selection;
+        const current = new Map();
+        for (const { dx, dy, color } of this._readRegion(this.selection)) {
+            current.set(dy * width + dx, color);
+        }
+
+        const changes = [];
+        for (let dy = 0; dy < height; dy++) {
+            for (let dx = 0; dx < width; dx++) {
+                const fromX = horizontal ? width - 1 - dx : dx;
+                const fromY = horizontal ? dy : height - 1 - dy;
+                changes.push({ x: x + dx, y: y + dy, color: current.get(fromY * width + fromX) ?? null });
+            }
+        }
+
+        this.gameState.withPaintSource('move', () => this.gameState.grid.setCells(changes));
+        return { success: true };
+    }
+}
@@ -0,0 +1,132 @@
+import { TOOLS } from '../data/tools.js';
+
+/**
+ * Shape tools - lines, rectangles and ellipses drawn by dragging between two cells
+ * Each shape is committed as a single setCells batch (one undo step)
+ */
+export class ShapeSystem {
+    constructor(gameState, symmetrySystem = null) {
+        this.gameState = gameState;
+        this.symmetrySystem = symmetrySystem;
+    }
+
+    // Bresenham line between two cells (inclusive)
+    getLineCells(x0, y0, x1, y1) {
+        const cells = [];
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0;
+        let y = y0;
+
+        while (true) {
+            cells.push({ x, y });
+            if (x === x1 && y === y1) break;
+
+            const e2 = 2 * err;
+            if (e2 >= dy) {
+                err += dy;
+                x += sx;
+            }
+            if (e2 <= dx) {
+                err += dx;
+                y += sy;
+            }
+        }
+
+        return cells;
+    }
+
+    // Rectangle spanned by two corner cells
+    getRectCells(x0, y0, x1, y1, filled) {
+        const minX = Math.min(x0, x1);
+        const maxX = Math.max(x0, x1);
+        const minY = Math.min(y0, y1);
+        const maxY = Math.max(y0, y1);
+        const cells = [];
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const onEdge = x === minX || x === maxX || y === minY || y === maxY;
+                if (filled || onEdge) {
+                    cells.push({ x, y });
+                }
+            }
+        }
+
+        return cells;
+    }
+
+    // Ellipse inscribed in the rectangle spanned by two corner cells
+    getEllipseCells(x0, y0, x1, y1, filled) {
+        const minX = Math.min(x0, x1);
+        const maxX = Math.max(x0, x1);
+        const minY = Math.min(y0, y1);
+        const maxY = Math.max(y0, y1);
+
+        // Radii reach the outer edge of the corner cells
+        const cx = (minX + maxX) / 2;
+        const cy = (minY + maxY) / 2;
+        const rx = (maxX - minX) / 2 + 0.5;
+        const ry = (maxY - minY) / 2 + 0.5;
+
+        const inside = (x, y) => {
+            const nx = (x - cx) / rx;
+            const ny = (y - cy) / ry;
+            return nx * nx + ny * ny <= 1;
+        };
+
+        const cells = [];
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                if (!inside(x, y)) continue;
+
+                // Outline keeps cells that touch the outside of the ellipse
+                const onEdge = !inside(x - 1, y) || !inside(x + 1, y) ||
+                    !inside(x, y - 1) || !inside(x, y + 1);
+                if (filled || onEdge) {
+                    cells.push({ x, y });
+                }
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * Get the cells a shape tool covers between two cells, clipped to the grid
+     * Includes mirrored copies when mirror mode is on
+     */
+    getShapeCells(toolId, start, end) {
+        const tool = TOOLS[toolId];
+        if (!tool?.shape) return [];
+
+        let cells;
+        switch (tool.shape) {
+            case 'line':
+                cells = this.getLineCells(start.x, start.y, end.x, end.y);
+                break;
+            case 'rect':
+                cells = this.getRectCells(start.x, start.y, end.x, end.y, tool.filled);
+                break;
+            case 'ellipse':
+                cells = this.getEllipseCells(start.x, start.y, end.x, end.y, tool.filled);
+                break;
+            default:
+                cells = [];
+        }
+
+        const grid = this.gameState.grid;
+        const clipped = cells.filter(({ x, y }) => grid.isValid(x, y));
+        return this.symmetrySystem ? this.symmetrySystem.reflect(clipped) : clipped;
+    }
+
+    // Draw a shape with a color (null erases). Returns number of cells changed
+    commit(toolId, start, end, color) {
+        const changes = this.getShapeCells(toolId, start, end).map(cell => ({ ...cell, color }));
+        if (changes.length === 0) return 0;
+        return this.gameState.grid.setCells(changes);
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * Tracks play statistics
+ * Lifetime totals live in gameState.stats and are saved with the game; session totals
+ * cover the current page load only. Cells are split by gameState.paintSource
+ */
+export class StatsSystem {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.pendingMs = 0; // Play time not yet added as a whole second
+        this.session = this.createSession();
+
+        this.gameState.on('cellChanged', (change) => this.countPainted([change]));
+        this.gameState.on('cellsChanged', (changes) => this.countPainted(changes));
+        this.gameState.on('moneyChanged', ({ delta }) => {
+            if (delta > 0) this.session.moneyEarned += delta;
+        });
+        this.gameState.on('contractStarted', (contract) => this.markContractStart(contract));
+        this.gameState.on('contractCompleted', (contract) => this.recordContract(contract));
+    }
+
+    createSession() {
+        return {
+            startedAt: Date.now(),
+            playTime: 0,
+            cellsPaintedByHand: 0,
+            cellsPaintedByAuto: 0,
+            contractsCompleted: 0,
+            moneyEarned: 0
+        };
+    }
+
+    // Called once the save is loaded, so the count lands in the right save
+    beginSession() {
+        this.session = this.createSession();
+        this.gameState.stats.sessions++;
+    }
+
+    // Count play time while the game loop runs
+    update(dt) {
+        this.pendingMs += dt;
+        if (this.pendingMs >= 1000) {
+            const seconds = Math.floor(this.pendingMs / 1000);
+            this.pendingMs -= seconds * 1000;
+            this.addPlayTime(seconds);
+        }
+    }
+
+    addPlayTime(seconds) {
+        this.gameState.addPlayTime(seconds);
+        this.session.playTime += seconds;
+    }
+
+    // Erasing (color null), undo/redo and selection moves are not painting
+    countPainted(changes) {
+        if (!this.gameState.isPainting()) return;
+
+        let painted = 0;
+        for (const change of changes) {
+            if (change.color !== null) painted++;
+        }
+        if (painted === 0) return;
+
+        const key = this.gameState.paintSource === 'auto' ? 'cellsPaintedByAuto' : 'cellsPaintedByHand';
+        this.gameState.stats[key] += painted;
+        this.session[key] += painted;
+    }
+
+    // Completion times are measured in play time, so time away doesn't count
+    markContractStart(contract) {
+        if (contract.startPlayTime === undefined) {
+            contract.startPlayTime = this.gameState.stats.playTime;
+        }
+    }
+
+    recordContract(contract) {
+        const ranks = this.gameState.stats.ranks;
+        const record = ranks[contract.rankLevel] ??= { contracts: 0, earned: 0, bestTime: null };
+        record.contracts++;
+        record.earned += contract.reward;
+        this.session.contractsCompleted++;
+
+        // Contracts finished by offline progress take no play time
+        if (!this.gameState.simulating && contract.startPlayTime !== undefined) {
+            const time = this.gameState.stats.playTime - contract.startPlayTime;
+            if (record.bestTime === null || time < record.bestTime) {
+                record.bestTime = time;
+            }
+        }
+    }
+
+    getSession() {
+        return { ...this.session };
+    }
+
+    getLifetime() {
+        return { ...this.gameState.stats };
+    }
+
+    // Per-rank records, lowest rank first
+    getRankStats() {
+        return Object.entries(this.gameState.stats.ranks)
+            .map(([level, record]) => ({ level: Number(level), ...record }))
+            .sort((a, b) => a.level - b.level);
+    }
+}
@@ -0,0 +1,107 @@
+// Mirror modes in the order the toolbar button cycles through them
+export const MIRROR_MODES = ['off', 'vertical', 'horizontal', 'quad'];
+
+// Upgrade level needed for each mirror mode
+const MODE_LEVELS = { off: 0, vertical: 1, horizontal: 1, quad: 2 };
+
+/**
+ * Mirror painting - reflects brush and shape cells across movable axes
+ * Axis positions are in grid units: whole numbers sit on cell edges, .5 on cell centers
+ */
+export class SymmetrySystem {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.mode = 'off';
+        this.axisX = 0; // Vertical axis (mirrors left/right)
+        this.axisY = 0; // Horizontal axis (mirrors top/bottom)
+        this.resetAxes();
+
+        // Re-center when the grid changes size
+        this.gameState.on('gridResized', () => this.resetAxes());
+        this.gameState.on('gridLoaded', () => this.resetAxes());
+    }
+
+    isModeUnlocked(mode) {
+        return this.gameState.getUpgradeLevel('mirror_mode') >= (MODE_LEVELS[mode] ?? Infinity);
+    }
+
+    getUnlockedModes() {
+        return MIRROR_MODES.filter(mode => this.isModeUnlocked(mode));
+    }
+
+    setMode(mode) {
+        if (!this.isModeUnlocked(mode)) return false;
+        this.mode = mode;
+        this._notify();
+        return true;
+    }
+
+    // Switch to the next unlocked mode
+    cycleMode() {
+        const modes = this.getUnlockedModes();
+        const next = modes[(modes.indexOf(this.mode) + 1) % modes.length];
+        return this.setMode(next);
+    }
+
+    hasVerticalAxis() {
+        return this.mode === 'vertical' || this.mode === 'quad';
+    }
+
+    hasHorizontalAxis() {
+        return this.mode === 'horizontal' || this.mode === 'quad';
+    }
+
+    resetAxes() {
+        this.axisX = this.gameState.grid.width / 2;
+        this.axisY = this.gameState.grid.height / 2;
+        this._notify();
+    }
+
+    // Move an axis ('x' or 'y'), snapped to half cells and kept inside the grid
+    setAxis(axis, position) {
+        const size = axis === 'x' ? this.gameState.grid.width : this.gameState.grid.height;
+        const snapped = Math.max(0.5, Math.min(size - 0.5, Math.round(position * 2) / 2));
+
+        if (axis === 'x') {
+            this.axisX = snapped;
+        } else {
+            this.axisY = snapped;
+        }
+        this._notify();
+    }
+
+    _notify() {
+        this.gameState.emit('symmetryChanged', { mode: this.mode, axisX: this.axisX, axisY: this.axisY });
+    }
+
+    /**
+     * Add the mirrored copies of a set of cells for the current mode
+     * Duplicates and cells that land outside the grid are dropped
+     */
+    reflect(cells) {
+        if (this.mode === 'off') return cells;
+
+        const grid = this.gameState.grid;
+        const seen = new Set();
+        const result = [];
+        const add = (x, y) => {
+            const key = y * grid.width + x;
+            if (!grid.isValid(x, y) || seen.has(key)) return;
+            seen.add(key);
+            result.push({ x, y });
+        };
+
+        for (const { x, y } of cells) {
+            // A cell's mirror across an axis at position a is 2a - x - 1
+            const mx = 2 * this.axisX - x - 1;
+            const my = 2 * this.axisY - y - 1;
+
+            add(x, y);
+            if (this.hasVerticalAxis()) add(mx, y);
+            if (this.hasHorizontalAxis()) add(x, my);
+            if (this.mode === 'quad') add(mx, my);
+        }
+
+        return result;
+    }
+}
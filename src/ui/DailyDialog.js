@@ -0,0 +1,135 @@
+import { Modal } from './Modal.js';
+import { getRank } from '../data/ranks.js';
+import { getDailyDate } from '../systems/DailyChallengeSystem.js';
+
+/**
+ * Daily challenge screen - today's contract per rank, the streak, recent results with
+ * shareable codes, and a box to compare against a friend's code
+ */
+export class DailyDialog {
+    constructor(game, uiManager) {
+        this.dailySystem = game.dailyChallengeSystem;
+        this.uiManager = uiManager;
+        this.modal = new Modal(`Daily Challenge - ${getDailyDate()}`);
+    }
+
+    open() {
+        this.render();
+        this.modal.open();
+    }
+
+    render() {
+        const daily = this.dailySystem.getState();
+        const available = this.dailySystem.getAvailable();
+
+        this.modal.body.innerHTML = `
+            <div class="import-summary">
+                <span>Streak: ${this.dailySystem.getStreak()} days</span>
+                <span>Best: ${Number(daily.bestStreak) || 0} days</span>
+            </div>
+            <div class="daily-list">
+                ${available.map(({ rank, contract, completed }) => `
+                    <div class="daily-item ${completed ? 'completed' : ''}">
+                        <span class="daily-name">${rank.name}</span>
+                        <span class="contract-reward">$${this.uiManager.formatNumber(contract.reward)}</span>
+                        ${completed
+                            ? '<span class="slot-badge">Done</span>'
+                            : `<button class="tool-btn" data-rank="${rank.level}">Start</button>`}
+                    </div>
+                `).join('')}
+            </div>
+            <h3>Recent Results</h3>
+            <div class="daily-results"></div>
+            <h3>Compare</h3>
+            <input type="text" class="save-code daily-compare-input" placeholder="Paste a friend's result code">
+            <div class="daily-compare"></div>
+        `;
+
+        this.modal.body.querySelectorAll('[data-rank]').forEach(btn => {
+            btn.addEventListener('click', () => this.start(Number(btn.dataset.rank)));
+        });
+
+        this.renderResults(daily.results);
+
+        const compareInput = this.modal.body.querySelector('.daily-compare-input');
+        compareInput.addEventListener('input', () => this.compare(compareInput.value));
+    }
+
+    renderResults(results) {
+        const container = this.modal.body.querySelector('.daily-results');
+        if (results.length === 0) {
+            container.innerHTML = '<p class="empty-state">No daily challenges completed yet</p>';
+            return;
+        }
+
+        for (const result of results.slice(0, 5)) {
+            const code = this.dailySystem.createResultCode(result);
+            const item = document.createElement('div');
+            item.className = 'daily-result';
+            item.innerHTML = `
+                <span></span>
+                <button class="tool-btn">Copy code</button>
+            `;
+            item.querySelector('span').textContent = this.formatResult(result);
+            item.querySelector('button').addEventListener('click', () => this.copy(code));
+            container.appendChild(item);
+        }
+    }
+
+    start(rankLevel) {
+        const result = this.dailySystem.startDaily(rankLevel);
+        if (!result.success) {
+            this.uiManager.showToast(result.reason, 'error');
+            return;
+        }
+        this.uiManager.showToast(`Started the ${getRank(rankLevel).name} daily`, 'info');
+        this.modal.close();
+    }
+
+    async copy(code) {
+        try {
+            await navigator.clipboard.writeText(code);
+            this.uiManager.showToast('Result code copied', 'success');
+        } catch (e) {
+            prompt('Copy your result code:', code);
+        }
+    }
+
+    // Show a friend's result next to ours for the same day and rank
+    compare(code) {
+        const container = this.modal.body.querySelector('.daily-compare');
+        container.innerHTML = '';
+        if (!code.trim()) return;
+
+        const parsed = this.dailySystem.parseResultCode(code);
+        const line = (text, className = 'hint') => {
+            const p = document.createElement('p');
+            p.className = className;
+            p.textContent = text;
+            container.appendChild(p);
+        };
+
+        if (!parsed.success) {
+            line(parsed.reason, 'import-error');
+            return;
+        }
+
+        const theirs = parsed.result;
+        line(`Friend: ${this.formatResult(theirs)}`);
+
+        const ours = this.dailySystem.getState().results
+            .find(r => r.date === theirs.date && r.rankLevel === theirs.rankLevel);
+        line(ours ? `You: ${this.formatResult(ours)}` : 'You have not completed this daily');
+    }
+
+    formatResult(result) {
+        const time = result.time === null ? 'unknown time' : this.formatTime(result.time);
+        const mistakes = `${result.mistakes} mistake${result.mistakes === 1 ? '' : 's'}`;
+        return `${result.date} ${getRank(result.rankLevel).name}: ${time}, ${mistakes}`;
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
@@ -1,16 +1,25 @@
 import { getColorHex } from '../data/colors.js';
+import { isShapeTool } from '../data/tools.js';
 
 /**
  * Canvas-based grid renderer with viewport for large grid support
  * Supports pan/zoom for grids up to 1000x1000+
  */
 export class GridRenderer {
-    constructor(canvas, gameState) {
+    constructor(canvas, gameState, systems = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.gameState = gameState;
         this.grid = gameState.grid;
 
+        // Game systems used for painting
+        this.brushSystem = systems.brushSystem;
+        this.contractSystem = systems.contractSystem;
+        this.fillSystem = systems.fillSystem;
+        this.shapeSystem = systems.shapeSystem;
+        this.selectionSystem = systems.selectionSystem;
+        this.symmetrySystem = systems.symmetrySystem;
+
         // Viewport settings
         this.viewportX = 0; // Top-left corner of viewport in grid coords
         this.viewportY = 0;
@@ -34,6 +43,10 @@ export class GridRenderer {
         this.hoveredCell = null;
         this.lastDrawnCell = null;
         this.lastPanPoint = null;
+        this.shapeDrag = null; // { toolId, start, end, color } while dragging a shape
+        this.marqueeStart = null; // Anchor cell while dragging a selection rectangle
+        this.floatDragOffset = null; // Cursor offset inside floating content while dragging it
+        this.draggingAxis = null; // 'x' or 'y' while moving a mirror axis
 
         // Animation
         this.animationFrame = null;
@@ -112,18 +125,29 @@ export class GridRenderer {
         this.gameState.on('contractStarted', () => this.needsRedraw = true);
         this.gameState.on('contractCleared', () => this.needsRedraw = true);
         this.gameState.on('contractCompleted', () => this.needsRedraw = true);
+        this.gameState.on('upgradeChanged', () => this.needsRedraw = true);
+        this.gameState.on('colorSelected', () => this.needsRedraw = true);
+        this.gameState.on('toolSelected', () => this.needsRedraw = true);
+        this.gameState.on('selectionChanged', () => this.needsRedraw = true);
+        this.gameState.on('symmetryChanged', () => this.needsRedraw = true);
     }
 
-    // Convert screen coords to grid coords
-    screenToGrid(screenX, screenY) {
+    // Convert screen coords to fractional grid coords
+    screenToGridExact(screenX, screenY) {
         const rect = this.canvas.getBoundingClientRect();
         const canvasX = (screenX - rect.left) * (this.canvas.width / rect.width);
         const canvasY = (screenY - rect.top) * (this.canvas.height / rect.height);
 
-        const gridX = Math.floor(canvasX / this.cellSize + this.viewportX);
-        const gridY = Math.floor(canvasY / this.cellSize + this.viewportY);
+        return {
+            x: canvasX / this.cellSize + this.viewportX,
+            y: canvasY / this.cellSize + this.viewportY
+        };
+    }
 
-        return { x: gridX, y: gridY };
+    // Convert screen coords to grid coords
+    screenToGrid(screenX, screenY) {
+        const exact = this.screenToGridExact(screenX, screenY);
+        return { x: Math.floor(exact.x), y: Math.floor(exact.y) };
     }
 
     // Convert grid coords to canvas coords
@@ -147,18 +171,39 @@ export class GridRenderer {
             this.isPanning = true;
             this.lastPanPoint = { x: event.clientX, y: event.clientY };
             this.canvas.style.cursor = 'grabbing';
+        } else if (event.button === 0 && event.altKey) {
+            // Alt+click = eyedropper
+            this.gameState.pickColorAt(x, y);
+        } else if (event.button === 0 && this.getAxisNear(event.clientX, event.clientY)) {
+            // Grab a mirror axis to move it
+            this.draggingAxis = this.getAxisNear(event.clientX, event.clientY);
+        } else if (this.gameState.selectedTool === 'bucket' && (event.button === 0 || event.button === 2)) {
+            // Bucket fill - left click fills with selected color, right click clears the area
+            const color = event.button === 0 ? this.gameState.selectedColor : null;
+            this.fillSystem.fill(x, y, color);
+        } else if (this.gameState.selectedTool === 'select' && (event.button === 0 || event.button === 2)) {
+            this.handleSelectDown(x, y, event.button);
+        } else if (isShapeTool(this.gameState.selectedTool) && (event.button === 0 || event.button === 2)) {
+            // Shape tools - drag from one corner to the other, right click erases
+            if (this.grid.isValid(x, y)) {
+                this.shapeDrag = {
+                    toolId: this.gameState.selectedTool,
+                    start: { x, y },
+                    end: { x, y },
+                    color: event.button === 0 ? this.gameState.selectedColor : null
+                };
+                this.needsRedraw = true;
+            }
         } else if (event.button === 2) {
             // Right click = erase
             this.isErasing = true;
-            if (this.grid.isValid(x, y)) {
-                this.grid.setCell(x, y, null);
-            }
+            this.grid.beginStroke();
+            this.brushSystem.erase(x, y);
         } else if (event.button === 0) {
             // Left click = draw
             this.isDrawing = true;
-            if (this.grid.isValid(x, y)) {
-                this.grid.setCell(x, y, this.gameState.selectedColor);
-            }
+            this.grid.beginStroke();
+            this.brushSystem.paint(x, y, this.gameState.selectedColor);
         }
 
         this.lastDrawnCell = { x, y };
@@ -186,14 +231,44 @@ export class GridRenderer {
             this.needsRedraw = true;
         }
 
+        // Resize cursor while over (or dragging) a mirror axis
+        const axis = this.draggingAxis || this.getAxisNear(event.clientX, event.clientY);
+        this.canvas.style.cursor = axis === 'x' ? 'col-resize' : (axis === 'y' ? 'row-resize' : 'crosshair');
+
+        // Mirror axis drag
+        if (this.draggingAxis) {
+            const exact = this.screenToGridExact(event.clientX, event.clientY);
+            this.symmetrySystem.setAxis(this.draggingAxis, this.draggingAxis === 'x' ? exact.x : exact.y);
+            return;
+        }
+
+        // Selection marquee / floating content drag
+        if (this.marqueeStart) {
+            this.selectionSystem.setSelection(this.marqueeStart.x, this.marqueeStart.y, x, y);
+            return;
+        }
+        if (this.floatDragOffset) {
+            this.selectionSystem.moveFloatingTo(x - this.floatDragOffset.x, y - this.floatDragOffset.y);
+            return;
+        }
+
+        // Shape preview follows the cursor, clamped to the grid
+        if (this.shapeDrag) {
+            this.shapeDrag.end = {
+                x: Math.max(0, Math.min(this.grid.width - 1, x)),
+                y: Math.max(0, Math.min(this.grid.height - 1, y))
+            };
+            return;
+        }
+
         // Drag painting (only if upgrade purchased)
         if (this.canDragPaint() && this.grid.isValid(x, y)) {
             if (this.isDrawing || this.isErasing) {
                 if (!this.lastDrawnCell || this.lastDrawnCell.x !== x || this.lastDrawnCell.y !== y) {
                     if (this.isErasing) {
-                        this.grid.setCell(x, y, null);
+                        this.brushSystem.erase(x, y);
                     } else {
-                        this.grid.setCell(x, y, this.gameState.selectedColor);
+                        this.brushSystem.paint(x, y, this.gameState.selectedColor);
                     }
                     this.lastDrawnCell = { x, y };
                 }
@@ -202,6 +277,12 @@ export class GridRenderer {
     }
 
     handleMouseUp() {
+        this.commitShape();
+        this.marqueeStart = null;
+        this.floatDragOffset = null;
+        this.draggingAxis = null;
+        // Whole drag stroke becomes one undo step
+        this.grid.endStroke();
         this.isDrawing = false;
         this.isErasing = false;
         this.isPanning = false;
@@ -211,6 +292,12 @@ export class GridRenderer {
     }
 
     handleMouseLeave() {
+        // Leaving the canvas cancels a half-dragged shape instead of drawing it
+        this.shapeDrag = null;
+        this.marqueeStart = null;
+        this.floatDragOffset = null;
+        this.draggingAxis = null;
+        this.grid.endStroke();
         this.hoveredCell = null;
         this.isDrawing = false;
         this.isErasing = false;
@@ -218,6 +305,72 @@ export class GridRenderer {
         this.needsRedraw = true;
     }
 
+    // Which mirror axis (if any) is within grabbing distance of the cursor
+    getAxisNear(screenX, screenY) {
+        const symmetry = this.symmetrySystem;
+        if (symmetry.mode === 'off') return null;
+
+        const exact = this.screenToGridExact(screenX, screenY);
+        const grabDistance = 6 / this.cellSize; // 6 pixels, in grid units
+
+        if (symmetry.hasVerticalAxis() && Math.abs(exact.x - symmetry.axisX) <= grabDistance) {
+            return 'x';
+        }
+        if (symmetry.hasHorizontalAxis() && Math.abs(exact.y - symmetry.axisY) <= grabDistance) {
+            return 'y';
+        }
+        return null;
+    }
+
+    /**
+     * Select tool mouse down
+     * Left: drag floating content, lift the selection to move it, or start a new marquee
+     * Right: cancel floating content or clear the selection
+     */
+    handleSelectDown(x, y, button) {
+        const selection = this.selectionSystem;
+
+        if (button === 2) {
+            if (selection.floating) {
+                selection.cancelFloating();
+            } else {
+                selection.clearSelection();
+            }
+            return;
+        }
+
+        if (selection.isInside(selection.floating, x, y)) {
+            this.floatDragOffset = { x: x - selection.floating.x, y: y - selection.floating.y };
+            return;
+        }
+
+        if (selection.floating) {
+            selection.commitFloating();
+        } else if (selection.isInside(selection.selection, x, y)) {
+            const { x: sx, y: sy } = selection.selection;
+            selection.startMove();
+            this.floatDragOffset = { x: x - sx, y: y - sy };
+            return;
+        }
+
+        if (this.grid.isValid(x, y)) {
+            this.marqueeStart = { x, y };
+            selection.setSelection(x, y, x, y);
+        } else {
+            selection.clearSelection();
+        }
+    }
+
+    // Draw the shape being dragged, if any
+    commitShape() {
+        if (!this.shapeDrag) return;
+
+        const { toolId, start, end, color } = this.shapeDrag;
+        this.shapeDrag = null;
+        this.shapeSystem.commit(toolId, start, end, color);
+        this.needsRedraw = true;
+    }
+
     handleWheel(event) {
         event.preventDefault();
 
@@ -352,6 +505,11 @@ export class GridRenderer {
             );
         }
 
+        // Precision Mode numbers go on top of painted cells so wrong colors still show their target
+        if (this.gameState.activeContract && this.hasPrecisionMode()) {
+            this.renderPrecisionLabels(startX, startY, endX, endY);
+        }
+
         // Draw grid lines (only within grid bounds, only if cells are big enough)
         if (cellSize >= 8) {
             ctx.strokeStyle = this.gridLineColor;
@@ -380,16 +538,29 @@ export class GridRenderer {
             }
         }
 
-        // Draw hover (only if within grid)
-        if (this.hoveredCell && this.grid.isValid(this.hoveredCell.x, this.hoveredCell.y)) {
-            const pos = this.gridToCanvas(this.hoveredCell.x, this.hoveredCell.y);
-            ctx.fillStyle = this.hoverColor;
-            ctx.fillRect(pos.x, pos.y, cellSize, cellSize);
+        // Live preview of the shape being dragged
+        if (this.shapeDrag) {
+            this.renderShapePreview();
+        }
+
+        // Selection marquee and floating paste/move content
+        this.renderSelection();
+
+        // Mirror axes
+        this.renderMirrorAxes(gridStart, gridEnd);
+
+        // Draw hover footprint of the current tool (only if within grid)
+        if (this.hoveredCell && !this.shapeDrag) {
+            for (const cell of this.getHoverCells()) {
+                const pos = this.gridToCanvas(cell.x, cell.y);
+                ctx.fillStyle = this.hoverColor;
+                ctx.fillRect(pos.x, pos.y, cellSize, cellSize);
 
-            // Preview selected color
-            ctx.strokeStyle = getColorHex(this.gameState.selectedColor);
-            ctx.lineWidth = 2;
-            ctx.strokeRect(pos.x + 3, pos.y + 3, cellSize - 6, cellSize - 6);
+                // Preview selected color
+                ctx.strokeStyle = getColorHex(this.gameState.selectedColor);
+                ctx.lineWidth = 2;
+                ctx.strokeRect(pos.x + 3, pos.y + 3, cellSize - 6, cellSize - 6);
+            }
         }
 
         // Draw grid boundary with prominent border
@@ -398,11 +569,115 @@ export class GridRenderer {
         ctx.strokeRect(gridStart.x, gridStart.y, gridEnd.x - gridStart.x, gridEnd.y - gridStart.y);
     }
 
+    hasPrecisionMode() {
+        return this.gameState.hasUpgrade('precision_mode');
+    }
+
+    renderShapePreview() {
+        const ctx = this.ctx;
+        const cellSize = this.cellSize;
+        const { toolId, start, end, color } = this.shapeDrag;
+        const cells = this.shapeSystem.getShapeCells(toolId, start, end);
+
+        ctx.globalAlpha = 0.6;
+        ctx.fillStyle = color === null ? this.emptyColor : getColorHex(color);
+        for (const cell of cells) {
+            const pos = this.gridToCanvas(cell.x, cell.y);
+            ctx.fillRect(pos.x + 1, pos.y + 1, cellSize - 2, cellSize - 2);
+        }
+        ctx.globalAlpha = 1;
+
+        // Outline cells so erase previews stay visible on empty cells
+        if (cellSize >= 8) {
+            ctx.strokeStyle = color === null ? '#e94560' : '#ffffff';
+            ctx.lineWidth = 1;
+            for (const cell of cells) {
+                const pos = this.gridToCanvas(cell.x, cell.y);
+                ctx.strokeRect(pos.x + 2, pos.y + 2, cellSize - 4, cellSize - 4);
+            }
+        }
+    }
+
+    renderSelection() {
+        const ctx = this.ctx;
+        const cellSize = this.cellSize;
+        const { selection, floating } = this.selectionSystem;
+
+        if (floating) {
+            // Hole left behind by content being moved
+            if (floating.source) {
+                ctx.fillStyle = this.emptyColor;
+                for (const { dx, dy } of floating.cells) {
+                    const pos = this.gridToCanvas(floating.source.x + dx, floating.source.y + dy);
+                    ctx.fillRect(pos.x + 1, pos.y + 1, cellSize - 2, cellSize - 2);
+                }
+            }
+
+            ctx.globalAlpha = 0.75;
+            for (const { dx, dy, color } of floating.cells) {
+                const pos = this.gridToCanvas(floating.x + dx, floating.y + dy);
+                ctx.fillStyle = getColorHex(color);
+                ctx.fillRect(pos.x + 1, pos.y + 1, cellSize - 2, cellSize - 2);
+            }
+            ctx.globalAlpha = 1;
+
+            this.strokeDashedRect(floating, '#f1c40f');
+        } else if (selection) {
+            this.strokeDashedRect(selection, '#ffffff');
+        }
+    }
+
+    renderMirrorAxes(gridStart, gridEnd) {
+        const symmetry = this.symmetrySystem;
+        if (symmetry.mode === 'off') return;
+
+        const ctx = this.ctx;
+        ctx.strokeStyle = '#e94560';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
+        ctx.beginPath();
+
+        if (symmetry.hasVerticalAxis()) {
+            const x = this.gridToCanvas(symmetry.axisX, 0).x;
+            ctx.moveTo(x, gridStart.y);
+            ctx.lineTo(x, gridEnd.y);
+        }
+        if (symmetry.hasHorizontalAxis()) {
+            const y = this.gridToCanvas(0, symmetry.axisY).y;
+            ctx.moveTo(gridStart.x, y);
+            ctx.lineTo(gridEnd.x, y);
+        }
+
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    strokeDashedRect(rect, color) {
+        const ctx = this.ctx;
+        const pos = this.gridToCanvas(rect.x, rect.y);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(pos.x, pos.y, rect.width * this.cellSize, rect.height * this.cellSize);
+        ctx.setLineDash([]);
+    }
+
+    // Cells highlighted under the cursor for the selected tool
+    getHoverCells() {
+        const { x, y } = this.hoveredCell;
+        if (this.gameState.selectedTool === 'brush') {
+            return this.brushSystem.getFootprint(x, y);
+        }
+        return this.grid.isValid(x, y) ? [{ x, y }] : [];
+    }
+
     renderContractOverlay(startX, startY, endX, endY) {
         const ctx = this.ctx;
         const contract = this.gameState.activeContract;
         const pattern = contract.pattern;
         const cellSize = this.cellSize;
+        const precision = this.hasPrecisionMode();
+        const selectedColor = this.gameState.selectedColor;
 
         for (let y = startY; y < Math.min(endY, this.grid.height); y++) {
             for (let x = startX; x < Math.min(endX, this.grid.width); x++) {
@@ -413,7 +688,20 @@ export class GridRenderer {
                 if (expected !== null && expected !== undefined) {
                     const isCorrect = expected === actual;
 
-                    if (!isCorrect) {
+                    if (!isCorrect && precision) {
+                        // Precision Mode - emphasise cells that need the selected color, dim the rest
+                        const needsSelected = expected === selectedColor;
+                        ctx.fillStyle = getColorHex(expected);
+                        ctx.globalAlpha = needsSelected ? 0.55 : 0.15;
+                        ctx.fillRect(pos.x + 1, pos.y + 1, cellSize - 2, cellSize - 2);
+                        ctx.globalAlpha = 1;
+
+                        if (needsSelected && cellSize >= 6) {
+                            ctx.strokeStyle = '#ffffff';
+                            ctx.lineWidth = 2;
+                            ctx.strokeRect(pos.x + 2, pos.y + 2, cellSize - 4, cellSize - 4);
+                        }
+                    } else if (!isCorrect) {
                         // Show faded preview
                         ctx.fillStyle = getColorHex(expected);
                         ctx.globalAlpha = 0.25;
@@ -453,6 +741,37 @@ export class GridRenderer {
         }
     }
 
+    // Draw the color number (paint-by-numbers style) in every target cell that isn't correct yet
+    renderPrecisionLabels(startX, startY, endX, endY) {
+        const cellSize = this.cellSize;
+        if (cellSize < 12) return; // Too small to read
+
+        const ctx = this.ctx;
+        const contract = this.gameState.activeContract;
+        const colors = this.contractSystem.getContractColors(contract);
+
+        ctx.font = `bold ${Math.floor(cellSize * 0.45)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillStyle = '#ffffff';
+
+        for (let y = startY; y < endY; y++) {
+            for (let x = startX; x < endX; x++) {
+                const expected = contract.pattern[y]?.[x] ?? null;
+                if (expected === null || this.grid.getCell(x, y) === expected) continue;
+
+                const pos = this.gridToCanvas(x, y);
+                const label = String(colors.indexOf(expected) + 1);
+                const cx = pos.x + cellSize / 2;
+                const cy = pos.y + cellSize / 2;
+                ctx.strokeText(label, cx, cy);
+                ctx.fillText(label, cx, cy);
+            }
+        }
+    }
+
     forceRedraw() {
         this.needsRedraw = true;
     }
@@ -0,0 +1,51 @@
+/**
+ * Minimal modal dialog - an overlay with a titled panel
+ * Closes on the close button, Escape, or a click outside the panel
+ */
+export class Modal {
+    constructor(title, { onClose = null } = {}) {
+        this.onClose = onClose;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true">
+                <div class="modal-header">
+                    <h2 class="modal-title"></h2>
+                    <button class="modal-close" title="Close">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+        this.overlay.querySelector('.modal-title').textContent = title;
+        this.body = this.overlay.querySelector('.modal-body');
+
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+        this.overlay.addEventListener('mousedown', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+        this.handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        };
+    }
+
+    isOpen() {
+        return this.overlay.isConnected;
+    }
+
+    open() {
+        if (this.isOpen()) return;
+        document.body.appendChild(this.overlay);
+        document.addEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.overlay.remove();
+        document.removeEventListener('keydown', this.handleKeyDown, true);
+        this.onClose?.();
+    }
+}
@@ -0,0 +1,47 @@
+import { Modal } from './Modal.js';
+import { COLORS } from '../data/colors.js';
+
+/**
+ * "While you were away" summary of the progress applied by OfflineProgressSystem
+ */
+export class OfflineProgressDialog {
+    constructor(uiManager, summary) {
+        this.uiManager = uiManager;
+        this.summary = summary;
+        this.modal = new Modal('While You Were Away');
+    }
+
+    open() {
+        const { summary } = this;
+
+        const painted = Object.entries(summary.painted).map(([colorId, cells]) => `
+            <div class="offline-painter">
+                <span class="offline-swatch" style="background: ${COLORS[colorId]?.hex ?? '#888'}"></span>
+                <span>${COLORS[colorId]?.name ?? 'Unknown'} painter: ${this.uiManager.formatNumber(cells)} cells</span>
+            </div>
+        `).join('');
+
+        this.modal.body.innerHTML = `
+            <p>You were away for ${this.formatDuration(summary.elapsedMs)}.</p>
+            ${summary.capped ? `<p class="hint">Offline progress is limited to ${this.formatDuration(summary.simulatedMs)}.</p>` : ''}
+            <div class="offline-painters">${painted}</div>
+            <div class="import-summary">
+                <span>Contracts completed: ${summary.contractsCompleted}</span>
+                <span>Contracts auto-started: ${summary.contractsStarted}</span>
+                <span>Money earned: $${this.uiManager.formatNumber(summary.moneyEarned)}</span>
+            </div>
+            <button class="buy-btn offline-close-btn">Continue</button>
+        `;
+
+        this.modal.body.querySelector('.offline-close-btn').addEventListener('click', () => this.modal.close());
+        this.modal.open();
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        if (minutes > 0) return `${minutes}m`;
+        return `${Math.floor(ms / 1000)}s`;
+    }
+}
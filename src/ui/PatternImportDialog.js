@@ -0,0 +1,141 @@
+import { Modal } from './Modal.js';
+import { renderPatternThumbnail } from './PatternThumbnail.js';
+import { IMPORT_GRID_SIZES, importPatternFile } from '../core/PatternImporter.js';
+import { MAX_CUSTOM_PATTERNS } from '../core/GameState.js';
+
+/**
+ * Pattern import screen - turn a PNG into a contract pattern, preview it, and manage the
+ * imported patterns that photo-pattern contracts can pick from
+ */
+export class PatternImportDialog {
+    constructor(game, uiManager) {
+        this.gameState = game.gameState;
+        this.uiManager = uiManager;
+        this.file = null;
+        this.imported = null; // Pattern from the current file and options
+        this.previewId = 0; // Ignores a slow preview once the options have changed again
+        this.modal = new Modal('Import Pattern');
+    }
+
+    open() {
+        this.render();
+        this.modal.open();
+    }
+
+    render() {
+        this.modal.body.innerHTML = `
+            <section class="transfer-section">
+                <p class="hint">Imported patterns show up in photo contracts (rank 5 and up) for ranks that use all of their colors, once they fit your grid.</p>
+                <div class="transfer-actions">
+                    <label class="tool-btn file-btn">
+                        Choose PNG
+                        <input type="file" accept="image/png,.png" hidden>
+                    </label>
+                    <select class="import-size">
+                        ${IMPORT_GRID_SIZES.map(size => `<option value="${size}" ${size === 12 ? 'selected' : ''}>${size}x${size}</option>`).join('')}
+                    </select>
+                    <label class="hint"><input type="checkbox" class="import-unlocked" checked> Unlocked colors only</label>
+                </div>
+                <input type="text" class="save-code import-name" maxlength="32" placeholder="Pattern name">
+                <div class="pattern-preview"></div>
+                <button class="buy-btn import-confirm-btn" disabled>Add Pattern</button>
+            </section>
+            <h3>Imported Patterns</h3>
+            <div class="custom-pattern-list"></div>
+        `;
+
+        const body = this.modal.body;
+        body.querySelector('input[type="file"]').addEventListener('change', (e) => {
+            this.file = e.target.files[0] || null;
+            if (this.file) body.querySelector('.import-name').value = this.file.name.replace(/\.png$/i, '');
+            this.preview();
+        });
+        body.querySelector('.import-size').addEventListener('change', () => this.preview());
+        body.querySelector('.import-unlocked').addEventListener('change', () => this.preview());
+        body.querySelector('.import-confirm-btn').addEventListener('click', () => this.confirmImport());
+
+        this.renderList();
+    }
+
+    async preview() {
+        const body = this.modal.body;
+        const container = body.querySelector('.pattern-preview');
+        const confirmBtn = body.querySelector('.import-confirm-btn');
+        const previewId = ++this.previewId;
+        this.imported = null;
+        confirmBtn.disabled = true;
+        container.innerHTML = '';
+        if (!this.file) return;
+
+        const result = await importPatternFile(this.file, {
+            gridSize: Number(body.querySelector('.import-size').value),
+            colors: body.querySelector('.import-unlocked').checked ? [...this.gameState.unlockedColors] : undefined,
+            name: body.querySelector('.import-name').value.trim()
+        });
+        if (previewId !== this.previewId) return;
+
+        if (!result.success) {
+            const error = document.createElement('p');
+            error.className = 'import-error';
+            error.textContent = result.reason;
+            container.appendChild(error);
+            return;
+        }
+
+        this.imported = result.pattern;
+        const { pattern } = result.pattern;
+        const cells = pattern.reduce((sum, row) => sum + row.filter(c => c !== null).length, 0);
+        const colors = new Set(pattern.flat().filter(c => c !== null));
+
+        container.appendChild(renderPatternThumbnail(pattern, 144));
+        const summary = document.createElement('div');
+        summary.className = 'import-summary';
+        summary.innerHTML = `
+            <span>${pattern[0].length}x${pattern.length}</span>
+            <span>${cells} cells</span>
+            <span>${colors.size} colors</span>
+        `;
+        container.appendChild(summary);
+        confirmBtn.disabled = false;
+    }
+
+    confirmImport() {
+        if (!this.imported) return;
+
+        const name = this.modal.body.querySelector('.import-name').value.trim();
+        if (name) this.imported.name = name.slice(0, 32);
+
+        if (!this.gameState.addCustomPattern(this.imported)) {
+            this.uiManager.showToast(`You can keep up to ${MAX_CUSTOM_PATTERNS} patterns`, 'error');
+            return;
+        }
+        this.uiManager.showToast('Pattern added', 'success');
+        this.file = null;
+        this.render();
+    }
+
+    renderList() {
+        const container = this.modal.body.querySelector('.custom-pattern-list');
+        if (this.gameState.customPatterns.length === 0) {
+            container.innerHTML = '<p class="empty-state">No imported patterns yet</p>';
+            return;
+        }
+
+        this.gameState.customPatterns.forEach((custom, index) => {
+            const item = document.createElement('div');
+            item.className = 'custom-pattern';
+            item.innerHTML = `
+                <span class="custom-pattern-name"></span>
+                <button class="tool-btn">Remove</button>
+            `;
+            item.prepend(renderPatternThumbnail(custom.pattern, 36));
+            item.querySelector('.custom-pattern-name').textContent =
+                `${custom.name} (${custom.pattern[0].length}x${custom.pattern.length})`;
+            item.querySelector('button').addEventListener('click', () => {
+                this.gameState.removeCustomPattern(index);
+                this.render();
+            });
+            container.appendChild(item);
+        });
+    }
+}
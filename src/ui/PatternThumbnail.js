@@ -0,0 +1,62 @@
+import { getColorHex } from '../data/colors.js';
+
+// Colors used for cells that have no solid hex (e.g. gradients) and empty cells
+const FALLBACK_RGB = [128, 128, 128];
+const EMPTY_RGB = [42, 42, 42];
+
+// Parse '#rrggbb' into [r, g, b]
+function hexToRgb(hex) {
+    const match = /^#([0-9a-f]{6})$/i.exec(hex);
+    if (!match) return FALLBACK_RGB;
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Render a contract pattern into a small canvas
+ * Draws one pixel per cell and lets CSS scale it up, so even 1000x1000 patterns stay cheap
+ * @param {(string|null)[][]} pattern - Pattern rows of color ids
+ * @param {number} displaySize - Size in CSS pixels of the longest side
+ * @returns {HTMLCanvasElement}
+ */
+export function renderPatternThumbnail(pattern, displaySize = 72) {
+    const height = pattern.length;
+    const width = pattern[0]?.length || 0;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'pattern-thumbnail';
+    canvas.width = Math.max(1, width);
+    canvas.height = Math.max(1, height);
+
+    const scale = displaySize / Math.max(width, height, 1);
+    canvas.style.width = `${Math.round(width * scale)}px`;
+    canvas.style.height = `${Math.round(height * scale)}px`;
+
+    if (width === 0) return canvas;
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+    const rgbCache = new Map();
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const color = pattern[y][x];
+            let rgb = EMPTY_RGB;
+            if (color !== null) {
+                if (!rgbCache.has(color)) {
+                    rgbCache.set(color, hexToRgb(getColorHex(color)));
+                }
+                rgb = rgbCache.get(color);
+            }
+
+            const i = (y * width + x) * 4;
+            image.data[i] = rgb[0];
+            image.data[i + 1] = rgb[1];
+            image.data[i + 2] = rgb[2];
+            image.data[i + 3] = 255;
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
@@ -0,0 +1,53 @@
+import { Modal } from './Modal.js';
+
+/**
+ * Shown on startup when the save could not be read
+ * Offers the newest readable backup; the broken save stays quarantined either way, and
+ * backups don't rotate until the player picks restore or a new game
+ */
+export class RecoveryDialog {
+    constructor(game, uiManager, failure, backup) {
+        this.saveManager = game.saveManager;
+        this.uiManager = uiManager;
+        this.failure = failure;
+        this.backup = backup;
+
+        this.modal = new Modal('Save Could Not Be Loaded');
+    }
+
+    open() {
+        const { meta } = this.backup;
+        const savedAt = meta.savedAt ? new Date(meta.savedAt).toLocaleString() : 'unknown time';
+
+        this.modal.body.innerHTML = `
+            <p class="recovery-reason"></p>
+            <p>A copy of the broken save was kept aside. You can restore the newest backup:</p>
+            <div class="import-summary">
+                <span>Saved: ${savedAt}</span>
+                <span>Money: $${this.uiManager.formatNumber(meta.money)}</span>
+                <span>Rank: ${meta.rankName}</span>
+                <span>Grid: ${meta.gridWidth}x${meta.gridHeight}</span>
+            </div>
+            <button class="buy-btn recovery-restore-btn">Restore Backup</button>
+            <button class="danger-btn recovery-new-btn">Start New Game</button>
+        `;
+        this.modal.body.querySelector('.recovery-reason').textContent = this.failure.reason;
+
+        this.modal.body.querySelector('.recovery-restore-btn').addEventListener('click', async () => {
+            const result = await this.saveManager.restoreBackup(this.backup.number);
+            if (!result.success) {
+                this.uiManager.showToast(`Restore failed: ${result.reason}`, 'error');
+                return;
+            }
+            this.uiManager.showToast('Backup restored', 'success');
+            this.modal.close();
+        });
+
+        this.modal.body.querySelector('.recovery-new-btn').addEventListener('click', () => {
+            this.saveManager.dismissRecovery();
+            this.modal.close();
+        });
+
+        this.modal.open();
+    }
+}
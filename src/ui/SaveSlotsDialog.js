@@ -0,0 +1,133 @@
+import { Modal } from './Modal.js';
+import { SaveTransferDialog } from './SaveTransferDialog.js';
+
+/**
+ * Save manager screen - lists save slots with their metadata and lets the player
+ * create, rename, duplicate, delete, switch, export and import slots
+ */
+export class SaveSlotsDialog {
+    constructor(game, uiManager) {
+        this.game = game;
+        this.saveManager = game.saveManager;
+        this.uiManager = uiManager;
+        this.modal = new Modal('Save Slots');
+    }
+
+    async open() {
+        // Refresh the active slot's metadata before listing it
+        await this.saveManager.save();
+        this.render();
+        this.modal.open();
+    }
+
+    render() {
+        const slots = this.saveManager.getSlots();
+
+        this.modal.body.innerHTML = `
+            <div class="slot-list"></div>
+            <button class="buy-btn slot-create-btn">New Slot</button>
+        `;
+
+        const list = this.modal.body.querySelector('.slot-list');
+        for (const slot of slots) {
+            list.appendChild(this.renderSlot(slot));
+        }
+
+        this.modal.body.querySelector('.slot-create-btn').addEventListener('click', async () => {
+            const name = prompt('Name for the new slot:', `Slot ${slots.length + 1}`);
+            if (name === null) return;
+            this.handleResult(await this.saveManager.createSlot(name), 'Slot created');
+        });
+    }
+
+    renderSlot(slot) {
+        const item = document.createElement('div');
+        item.className = `slot-item ${slot.active ? 'active' : ''}`;
+
+        item.innerHTML = `
+            <div class="slot-header">
+                <span class="slot-name"></span>
+                ${slot.active ? '<span class="slot-badge">Playing</span>' : ''}
+            </div>
+            <div class="slot-meta">${this.formatMeta(slot.meta)}</div>
+            <div class="slot-actions">
+                ${slot.active ? '' : '<button class="tool-btn" data-action="load">Load</button>'}
+                <button class="tool-btn" data-action="rename">Rename</button>
+                <button class="tool-btn" data-action="duplicate">Duplicate</button>
+                <button class="tool-btn" data-action="transfer">Export / Import</button>
+                ${slot.active ? '' : '<button class="tool-btn slot-delete-btn" data-action="delete">Delete</button>'}
+            </div>
+        `;
+        item.querySelector('.slot-name').textContent = slot.name;
+
+        item.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => this.handleAction(btn.dataset.action, slot));
+        });
+
+        return item;
+    }
+
+    async handleAction(action, slot) {
+        switch (action) {
+            case 'load':
+                if (!confirm(`Switch to "${slot.name}"? Your current game is saved first.`)) return;
+                if (this.handleResult(await this.saveManager.switchSlot(slot.id))) {
+                    location.reload();
+                }
+                break;
+
+            case 'rename': {
+                const name = prompt('Rename slot:', slot.name);
+                if (name === null) return;
+                this.handleResult(await this.saveManager.renameSlot(slot.id, name));
+                break;
+            }
+
+            case 'duplicate':
+                this.handleResult(await this.saveManager.duplicateSlot(slot.id), 'Slot duplicated');
+                break;
+
+            case 'transfer':
+                this.modal.close();
+                new SaveTransferDialog(this.game, this.uiManager, slot.id).open();
+                break;
+
+            case 'delete':
+                if (!confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+                this.handleResult(await this.saveManager.deleteSlot(slot.id), 'Slot deleted');
+                break;
+        }
+    }
+
+    // Show the outcome of a slot action and refresh the list
+    handleResult(result, successMessage = null) {
+        if (!result.success) {
+            this.uiManager.showToast(result.reason, 'error');
+        } else if (successMessage) {
+            this.uiManager.showToast(successMessage, 'success');
+        }
+        this.render();
+        return result.success;
+    }
+
+    formatMeta(meta) {
+        if (!meta) {
+            return '<span class="empty-state">Empty - starts a new game</span>';
+        }
+
+        const savedAt = meta.savedAt ? new Date(meta.savedAt).toLocaleString() : 'never';
+        return `
+            <span>$${this.uiManager.formatNumber(meta.money)}</span>
+            <span>${meta.rankName}</span>
+            <span>${meta.gridWidth}x${meta.gridHeight}</span>
+            <span>${this.formatPlayTime(meta.playTime)} played</span>
+            <span>Saved ${savedAt}</span>
+        `;
+    }
+
+    formatPlayTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+}
@@ -0,0 +1,171 @@
+import { Modal } from './Modal.js';
+
+/**
+ * Export/import screen for one save slot
+ * Export: copy the save code or download it as a .gridsave file
+ * Import: paste a code or upload a file, check the preview, then confirm
+ */
+export class SaveTransferDialog {
+    constructor(game, uiManager, slotId = game.saveManager.activeSlotId) {
+        this.saveManager = game.saveManager;
+        this.uiManager = uiManager;
+        this.slot = this.saveManager.getSlot(slotId);
+        this.parsed = null; // Result of parsing the import input
+
+        this.modal = new Modal(`Export / Import - ${this.slot?.name ?? 'Save'}`);
+    }
+
+    async open() {
+        if (!this.slot) return;
+        await this.render();
+        this.modal.open();
+    }
+
+    async render() {
+        let code = null;
+        let exportError = null;
+        try {
+            code = await this.saveManager.exportSave(this.slot.id);
+        } catch (e) {
+            console.error('Failed to export save:', e);
+            exportError = `Could not export this save: ${e?.message || 'unknown error'}`;
+        }
+
+        this.modal.body.innerHTML = `
+            <section class="transfer-section">
+                <h3>Export</h3>
+                ${code ? `
+                    <textarea class="save-code export-code" readonly rows="3"></textarea>
+                    <div class="transfer-actions">
+                        <button class="tool-btn" data-action="copy">Copy</button>
+                        <button class="tool-btn" data-action="download">Download .gridsave</button>
+                    </div>
+                ` : exportError ? '<p class="import-error export-error"></p>' : '<p class="empty-state">This slot has no save yet</p>'}
+            </section>
+            <section class="transfer-section">
+                <h3>Import</h3>
+                <textarea class="save-code import-code" rows="3" placeholder="Paste a save code"></textarea>
+                <div class="transfer-actions">
+                    <label class="tool-btn file-btn">
+                        Upload file
+                        <input type="file" accept=".gridsave,.txt" hidden>
+                    </label>
+                </div>
+                <div class="import-preview"></div>
+                <button class="buy-btn import-confirm-btn" disabled>Import</button>
+            </section>
+        `;
+
+        if (exportError) {
+            this.modal.body.querySelector('.export-error').textContent = exportError;
+        }
+
+        if (code) {
+            const exportField = this.modal.body.querySelector('.export-code');
+            exportField.value = code;
+            exportField.addEventListener('focus', () => exportField.select());
+
+            this.modal.body.querySelector('[data-action="copy"]').addEventListener('click', () => this.copy(code));
+            this.modal.body.querySelector('[data-action="download"]').addEventListener('click', () => this.download(code));
+        }
+
+        const importField = this.modal.body.querySelector('.import-code');
+        importField.addEventListener('input', () => this.preview(importField.value));
+
+        this.modal.body.querySelector('input[type="file"]').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            importField.value = (await file.text()).trim();
+            this.preview(importField.value);
+        });
+
+        this.modal.body.querySelector('.import-confirm-btn').addEventListener('click', () => this.confirmImport());
+    }
+
+    async copy(code) {
+        try {
+            await navigator.clipboard.writeText(code);
+            this.uiManager.showToast('Save code copied', 'success');
+        } catch (e) {
+            // Clipboard access can be blocked; the code stays selectable in the box
+            this.modal.body.querySelector('.export-code').select();
+            this.uiManager.showToast('Copy blocked - press Ctrl+C to copy the selected code', 'error');
+        }
+    }
+
+    download(code) {
+        const date = new Date().toISOString().slice(0, 10);
+        const name = this.slot.name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase();
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+        link.download = `grid-incremental-${name}-${date}.gridsave`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Parse the import input and show what it contains, or why it can't be imported
+    preview(code) {
+        const container = this.modal.body.querySelector('.import-preview');
+        const confirmBtn = this.modal.body.querySelector('.import-confirm-btn');
+
+        if (!code.trim()) {
+            this.parsed = null;
+            container.innerHTML = '';
+            confirmBtn.disabled = true;
+            return;
+        }
+
+        this.parsed = this.saveManager.parseSaveCode(code);
+        confirmBtn.disabled = !this.parsed.success;
+
+        if (!this.parsed.success) {
+            container.innerHTML = '<p class="import-error"></p>';
+            container.querySelector('.import-error').textContent = this.parsed.reason;
+            return;
+        }
+
+        const { meta, report } = this.parsed;
+        const savedAt = meta.savedAt ? new Date(meta.savedAt).toLocaleString() : 'unknown';
+        const notes = [];
+        if (report.steps.length > 0) {
+            notes.push(`Upgraded from save version ${report.fromVersion}`);
+        }
+        for (const entry of report.dropped) {
+            notes.push(`Dropped ${entry}`);
+        }
+
+        container.innerHTML = `
+            <div class="import-summary">
+                <span>Money: $${this.uiManager.formatNumber(meta.money)}</span>
+                <span>Rank: ${meta.rankName}</span>
+                <span>Grid: ${meta.gridWidth}x${meta.gridHeight}</span>
+                <span>Saved: ${savedAt}</span>
+            </div>
+        `;
+        for (const note of notes) {
+            const line = document.createElement('p');
+            line.className = 'hint';
+            line.textContent = note;
+            container.appendChild(line);
+        }
+    }
+
+    async confirmImport() {
+        if (!this.parsed?.success) return;
+
+        if (this.slot.id === this.saveManager.activeSlotId &&
+            !confirm('This replaces the game you are playing. Continue?')) {
+            return;
+        }
+
+        const result = await this.saveManager.importSaveData(this.parsed.data, this.slot.id);
+        if (!result.success) {
+            this.uiManager.showToast(`Import failed: ${result.reason}`, 'error');
+            return;
+        }
+
+        this.uiManager.showToast('Save imported', 'success');
+        this.modal.close();
+    }
+}
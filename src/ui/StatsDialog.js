@@ -0,0 +1,69 @@
+import { Modal } from './Modal.js';
+import { getRank } from '../data/ranks.js';
+
+/**
+ * Statistics panel - session and lifetime totals, plus per-rank contract records
+ */
+export class StatsDialog {
+    constructor(game, uiManager) {
+        this.statsSystem = game.statsSystem;
+        this.uiManager = uiManager;
+        this.modal = new Modal('Statistics');
+    }
+
+    open() {
+        this.render();
+        this.modal.open();
+    }
+
+    render() {
+        const session = this.statsSystem.getSession();
+        const lifetime = this.statsSystem.getLifetime();
+        const format = (value) => this.uiManager.formatNumber(Number(value) || 0);
+
+        const rows = [
+            ['Play time', this.formatTime(session.playTime), this.formatTime(lifetime.playTime)],
+            ['Cells painted by hand', format(session.cellsPaintedByHand), format(lifetime.cellsPaintedByHand)],
+            ['Cells painted by auto painters', format(session.cellsPaintedByAuto), format(lifetime.cellsPaintedByAuto)],
+            ['Contracts completed', format(session.contractsCompleted), format(lifetime.totalContractsCompleted)],
+            ['Money earned', `$${format(session.moneyEarned)}`, `$${format(lifetime.totalMoneyEarned)}`],
+            ['Sessions', '', format(lifetime.sessions)]
+        ];
+
+        const ranks = this.statsSystem.getRankStats();
+
+        this.modal.body.innerHTML = `
+            <table class="stats-table">
+                <thead><tr><th></th><th>Session</th><th>Lifetime</th></tr></thead>
+                <tbody>
+                    ${rows.map(([label, s, l]) => `<tr><td>${label}</td><td>${s}</td><td>${l}</td></tr>`).join('')}
+                </tbody>
+            </table>
+            <h3>By Rank</h3>
+            ${ranks.length === 0 ? '<p class="empty-state">No contracts completed yet</p>' : `
+                <table class="stats-table">
+                    <thead><tr><th>Rank</th><th>Contracts</th><th>Earned</th><th>Best time</th></tr></thead>
+                    <tbody>
+                        ${ranks.map(r => `
+                            <tr>
+                                <td>${getRank(r.level).name}</td>
+                                <td>${format(r.contracts)}</td>
+                                <td>$${format(r.earned)}</td>
+                                <td>${r.bestTime === null ? '-' : this.formatTime(r.bestTime)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+
+    formatTime(seconds) {
+        seconds = Math.floor(Number(seconds) || 0);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+        return `${seconds}s`;
+    }
+}
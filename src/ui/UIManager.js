@@ -1,6 +1,13 @@
 import { getColorHex, COLORS } from '../data/colors.js';
 import { RANKS, getRank, canAccessRank, getMissingRequirements } from '../data/ranks.js';
 import { UPGRADES, getUpgradesByTab, getAutomationUpgrades, GRID_EXPANSIONS, getAutoPainterUpgrade, isAutoPainterUpgrade, AUTO_PAINTER_CONFIG, AUTO_PAINTERS_TOGGLE, getUpgradeCost } from '../data/upgrades.js';
+import { getAllTools } from '../data/tools.js';
+import { renderPatternThumbnail } from './PatternThumbnail.js';
+import { SaveSlotsDialog } from './SaveSlotsDialog.js';
+import { SaveTransferDialog } from './SaveTransferDialog.js';
+import { StatsDialog } from './StatsDialog.js';
+import { DailyDialog } from './DailyDialog.js';
+import { PatternImportDialog } from './PatternImportDialog.js';
 
 /**
  * Manages all UI updates and user interactions
@@ -11,6 +18,8 @@ export class UIManager {
         this.gameState = game.gameState;
         this.shopSystem = game.shopSystem;
         this.contractSystem = game.contractSystem;
+        this.selectionSystem = game.selectionSystem;
+        this.symmetrySystem = game.symmetrySystem;
 
         this.elements = {};
         this.currentTab = 'upgrades'; // Default to upgrades tab
@@ -32,8 +41,15 @@ export class UIManager {
             // Automations panel
             automationsList: document.getElementById('automations-list'),
 
-            // Color palette (near grid)
+            // Tools and color palette (near grid)
+            toolSelector: document.getElementById('tool-selector'),
+            selectionActions: document.getElementById('selection-actions'),
+            mirrorBtn: document.getElementById('mirror-btn'),
             colorPalette: document.getElementById('color-palette'),
+            quickSlots: document.getElementById('quick-slots'),
+            recentColors: document.getElementById('recent-colors'),
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
             clearGridBtn: document.getElementById('clear-grid-btn'),
 
             // Contract/Rank
@@ -50,6 +66,11 @@ export class UIManager {
             hideOwnedCheckbox: document.getElementById('hide-owned-checkbox'),
 
             // Actions
+            dailyBtn: document.getElementById('daily-btn'),
+            statsBtn: document.getElementById('stats-btn'),
+            patternsBtn: document.getElementById('patterns-btn'),
+            slotsBtn: document.getElementById('slots-btn'),
+            transferBtn: document.getElementById('transfer-btn'),
             saveBtn: document.getElementById('save-btn')
         };
     }
@@ -71,8 +92,17 @@ export class UIManager {
             this.renderShop();
         });
 
-        // New contract button
+        // New contract button - shows offers with Contract Preview, otherwise starts blind
         this.elements.newContractBtn?.addEventListener('click', () => {
+            if (this.contractSystem.canPreviewContracts()) {
+                const result = this.contractSystem.generateOffers();
+                if (!result.success) {
+                    this.showToast(result.reason, 'error');
+                }
+                this.renderContract();
+                return;
+            }
+
             const result = this.contractSystem.acceptContract();
             if (!result.success) {
                 this.showToast(result.reason, 'error');
@@ -94,13 +124,100 @@ export class UIManager {
             this.gameState.grid.clear();
         });
 
+        // Mirror mode button cycles through unlocked modes
+        this.elements.mirrorBtn?.addEventListener('click', () => this.symmetrySystem.cycleMode());
+
+        // Undo/redo buttons
+        this.elements.undoBtn?.addEventListener('click', () => this.gameState.undo());
+        this.elements.redoBtn?.addEventListener('click', () => this.gameState.redo());
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Daily challenge
+        this.elements.dailyBtn?.addEventListener('click', () => new DailyDialog(this.game, this).open());
+
+        // Statistics panel
+        this.elements.statsBtn?.addEventListener('click', () => new StatsDialog(this.game, this).open());
+
+        // Pattern import screen
+        this.elements.patternsBtn?.addEventListener('click', () => new PatternImportDialog(this.game, this).open());
+
+        // Save slots screen
+        this.elements.slotsBtn?.addEventListener('click', () => new SaveSlotsDialog(this.game, this).open());
+        this.elements.transferBtn?.addEventListener('click', () => new SaveTransferDialog(this.game, this).open());
+
         // Save button
-        this.elements.saveBtn?.addEventListener('click', () => {
-            this.game.saveManager.save();
-            this.showToast('Game saved!', 'success');
+        this.elements.saveBtn?.addEventListener('click', async () => {
+            // Failures are reported through the saveFailed event
+            if (await this.game.saveManager.save()) {
+                this.showToast('Game saved!', 'success');
+            }
         });
     }
 
+    handleKeyDown(event) {
+        // Don't steal keys from text inputs or open dialogs
+        if (event.target.closest?.('input, textarea')) return;
+        if (document.querySelector('.modal-overlay')) return;
+
+        const key = event.key.toLowerCase();
+        if (event.ctrlKey || event.metaKey) {
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.gameState.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.gameState.redo();
+            } else if (['c', 'x', 'v'].includes(key) && this.ownsClipboardKeys()) {
+                event.preventDefault();
+                this.handleSelectionAction({ c: 'copy', x: 'cut', v: 'paste' }[key]);
+            }
+            return;
+        }
+
+        // Selection keys
+        if (key === 'escape') {
+            if (this.selectionSystem.floating) {
+                this.selectionSystem.cancelFloating();
+            } else {
+                this.selectionSystem.clearSelection();
+            }
+            return;
+        }
+        if (key === 'enter' && this.selectionSystem.floating) {
+            this.selectionSystem.commitFloating();
+            return;
+        }
+
+        // Number keys 1-9 select a quick slot, Shift+number assigns the current color
+        const slotMatch = /^Digit([1-9])$/.exec(event.code);
+        if (slotMatch && !event.altKey) {
+            const index = Number(slotMatch[1]) - 1;
+            if (event.shiftKey) {
+                this.gameState.assignQuickSlot(index, this.gameState.selectedColor);
+            } else {
+                this.gameState.selectQuickSlot(index);
+            }
+            return;
+        }
+
+        // Tool shortcuts
+        const tool = getAllTools().find(t => t.shortcut === key);
+        if (tool && !event.altKey) {
+            this.gameState.selectTool(tool.id);
+        }
+    }
+
+    // Ctrl+C/X/V only act on the grid while selecting; otherwise the browser keeps them
+    ownsClipboardKeys() {
+        const selection = this.selectionSystem;
+        if (!selection.canSelect()) return false;
+        if (this.gameState.selectedTool !== 'select' && !selection.selection && !selection.floating) return false;
+        if (document.activeElement?.closest?.('input, textarea, select, [contenteditable]')) return false;
+        return !window.getSelection?.()?.toString();
+    }
+
     subscribeToState() {
         // Money updates
         this.gameState.on('moneyChanged', () => {
@@ -114,7 +231,12 @@ export class UIManager {
             this.renderShop();
             this.renderRankSelector();
         });
-        this.gameState.on('colorSelected', () => this.renderColorPalette());
+        this.gameState.on('colorSelected', () => {
+            this.renderColorPalette();
+            this.renderColorBreakdown();
+            this.renderQuickColors();
+        });
+        this.gameState.on('quickSlotsChanged', () => this.renderQuickColors());
 
         // Contract updates
         this.gameState.on('contractStarted', () => this.renderContract());
@@ -124,36 +246,49 @@ export class UIManager {
             this.renderRankDisplay();
             this.renderRankSelector();
             this.updateContractsCount();
-            this.showToast(`Contract completed! +$${contract.reward}`, 'success');
 
-            // Auto-start next contract if upgrade owned and enabled
-            if (this.gameState.isAutomationEnabled('auto_start_contract')) {
-                setTimeout(() => {
-                    if (!this.gameState.activeContract) {
-                        const result = this.contractSystem.acceptContract();
-                        if (result.success) {
-                            this.showToast('Auto-started next contract', 'info');
-                        }
-                    }
-                }, 500);
-            }
+            // Offline progress reports its contracts in one summary
+            if (this.gameState.simulating) return;
+
+            this.showToast(`Contract completed! +$${contract.reward}`, 'success');
+        });
+        this.gameState.on('contractAutoStarted', () => this.showToast('Auto-started next contract', 'info'));
+        this.gameState.on('dailyCompleted', ({ result }) => {
+            this.showToast(`Daily challenge done! Streak: ${result.streak} days`, 'success');
         });
 
         // Cell changes update contract progress
         this.gameState.on('cellChanged', () => this.updateContractProgress());
         this.gameState.on('cellsChanged', () => this.updateContractProgress());
 
+        // Tool changes
+        this.gameState.on('toolSelected', () => {
+            this.renderToolSelector();
+            this.renderSelectionActions();
+        });
+        this.gameState.on('selectionChanged', () => this.renderSelectionActions());
+        this.gameState.on('symmetryChanged', () => this.renderMirrorButton());
+
+        // Undo/redo availability
+        this.gameState.on('historyChanged', () => this.updateHistoryButtons());
+
         // Grid expansion
         this.gameState.on('gridExpanded', () => {
             this.updateGridSize();
             this.renderShop();
             this.renderRankSelector();
+            this.renderContract();
         });
 
         // Upgrade changes
-        this.gameState.on('upgradeChanged', () => {
+        this.gameState.on('upgradeChanged', (data) => {
             this.renderShop();
             this.renderAutomationsPanel();
+            this.renderToolSelector();
+            this.renderMirrorButton();
+            if (data.id === 'precision_mode') {
+                this.renderContract();
+            }
         });
 
         // Automation toggle
@@ -163,18 +298,26 @@ export class UIManager {
 
         // State loaded
         this.gameState.on('stateLoaded', () => this.renderAll());
+
+        // Saving failed (autosave included)
+        this.gameState.on('saveFailed', ({ reason }) => this.showToast(`Save failed: ${reason}`, 'error'));
     }
 
     renderAll() {
         this.updateMoney();
         this.updateGridSize();
         this.updateContractsCount();
+        this.renderToolSelector();
+        this.renderSelectionActions();
+        this.renderMirrorButton();
         this.renderColorPalette();
+        this.renderQuickColors();
         this.renderAutomationsPanel();
         this.renderRankDisplay();
         this.renderRankSelector();
         this.renderContract();
         this.renderShop();
+        this.updateHistoryButtons();
     }
 
     render() {
@@ -200,6 +343,16 @@ export class UIManager {
         }
     }
 
+    updateHistoryButtons() {
+        const grid = this.gameState.grid;
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.disabled = !grid.canUndo();
+        }
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.disabled = !grid.canRedo();
+        }
+    }
+
     renderAutomationsPanel() {
         if (!this.elements.automationsList) return;
 
@@ -254,6 +407,109 @@ export class UIManager {
         });
     }
 
+    // Tool buttons - hidden until a second tool is unlocked
+    renderToolSelector() {
+        if (!this.elements.toolSelector) return;
+
+        const tools = getAllTools().filter(t => this.gameState.isToolUnlocked(t.id));
+        this.elements.toolSelector.innerHTML = '';
+        this.elements.toolSelector.style.display = tools.length > 1 ? '' : 'none';
+
+        for (const tool of tools) {
+            const btn = document.createElement('button');
+            btn.className = 'tool-btn';
+            if (tool.id === this.gameState.selectedTool) {
+                btn.classList.add('active');
+            }
+            btn.textContent = tool.label;
+            btn.title = `${tool.name} (${tool.shortcut.toUpperCase()}) - ${tool.description}`;
+            btn.addEventListener('click', () => this.gameState.selectTool(tool.id));
+            this.elements.toolSelector.appendChild(btn);
+        }
+    }
+
+    // Copy/cut/paste/flip buttons, only shown while the select tool is active
+    renderSelectionActions() {
+        const container = this.elements.selectionActions;
+        if (!container) return;
+
+        if (this.gameState.selectedTool !== 'select') {
+            container.style.display = 'none';
+            return;
+        }
+
+        const { selection, floating, clipboard } = this.selectionSystem;
+        const hasContent = Boolean(selection || floating);
+        const actions = [
+            { id: 'copy', label: 'Copy', enabled: Boolean(selection) },
+            { id: 'cut', label: 'Cut', enabled: Boolean(selection) },
+            { id: 'paste', label: 'Paste', enabled: Boolean(clipboard) },
+            { id: 'flipH', label: 'Flip H', enabled: hasContent },
+            { id: 'flipV', label: 'Flip V', enabled: hasContent }
+        ];
+
+        container.style.display = '';
+        container.innerHTML = actions.map(a =>
+            `<button class="tool-btn" data-action="${a.id}" ${a.enabled ? '' : 'disabled'}>${a.label}</button>`
+        ).join('');
+
+        container.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleSelectionAction(btn.dataset.action));
+        });
+    }
+
+    renderMirrorButton() {
+        const btn = this.elements.mirrorBtn;
+        if (!btn) return;
+
+        if (!this.gameState.hasUpgrade('mirror_mode')) {
+            btn.style.display = 'none';
+            return;
+        }
+
+        const labels = { off: 'Off', vertical: 'Vertical', horizontal: 'Horizontal', quad: 'Four-way' };
+        const mode = this.symmetrySystem.mode;
+        btn.style.display = '';
+        btn.textContent = `Mirror: ${labels[mode]}`;
+        btn.classList.toggle('active', mode !== 'off');
+    }
+
+    handleSelectionAction(action) {
+        const selection = this.selectionSystem;
+        let result;
+
+        switch (action) {
+            case 'copy':
+                result = selection.copy();
+                if (result.success) this.showToast(`Copied ${result.count} cells`, 'info');
+                break;
+            case 'cut':
+                result = selection.cut();
+                if (result.success) this.showToast(`Cut ${result.count} cells`, 'info');
+                break;
+            case 'paste': {
+                // Paste at the hovered cell, falling back to the selection or the grid corner
+                const hovered = this.game.gridRenderer?.hoveredCell;
+                const target = hovered && this.gameState.grid.isValid(hovered.x, hovered.y)
+                    ? hovered
+                    : (selection.selection ?? { x: 0, y: 0 });
+                this.gameState.selectTool('select');
+                result = selection.paste(target.x, target.y);
+                break;
+            }
+            case 'flipH':
+                result = selection.flipHorizontal();
+                break;
+            case 'flipV':
+                result = selection.flipVertical();
+                break;
+        }
+
+        if (result && !result.success) {
+            this.showToast(result.reason, 'error');
+        }
+    }
+
     renderColorPalette() {
         if (!this.elements.colorPalette) return;
 
@@ -286,6 +542,53 @@ export class UIManager {
         }
     }
 
+    // Create a small swatch button for the quick color strips
+    createSwatch(colorId, className) {
+        const btn = document.createElement('button');
+        btn.className = className;
+        if (colorId) {
+            btn.style.backgroundColor = getColorHex(colorId);
+            btn.title = COLORS[colorId]?.name || colorId;
+            if (colorId === this.gameState.selectedColor) {
+                btn.classList.add('selected');
+            }
+        } else {
+            btn.classList.add('empty');
+        }
+        return btn;
+    }
+
+    renderQuickColors() {
+        const { quickSlots, recentColors } = this.elements;
+
+        if (quickSlots) {
+            quickSlots.innerHTML = '';
+            this.gameState.quickSlots.forEach((colorId, index) => {
+                const btn = this.createSwatch(colorId, 'quick-slot');
+                btn.textContent = index + 1;
+                if (!colorId) {
+                    btn.title = `Slot ${index + 1} - right click to assign the current color`;
+                }
+
+                btn.addEventListener('click', () => this.gameState.selectQuickSlot(index));
+                btn.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.gameState.assignQuickSlot(index, this.gameState.selectedColor);
+                });
+                quickSlots.appendChild(btn);
+            });
+        }
+
+        if (recentColors) {
+            recentColors.innerHTML = '';
+            for (const colorId of this.gameState.recentColors) {
+                const btn = this.createSwatch(colorId, 'recent-color');
+                btn.addEventListener('click', () => this.gameState.selectColor(colorId));
+                recentColors.appendChild(btn);
+            }
+        }
+    }
+
     renderRankDisplay() {
         if (!this.elements.rankDisplay) return;
 
@@ -363,6 +666,7 @@ export class UIManager {
                     this.contractSystem.selectedRankLevel = rank.level;
                     this.renderRankDisplay();
                     this.renderRankSelector();
+                    this.renderContract();
                 }
             });
 
@@ -375,6 +679,11 @@ export class UIManager {
 
         const contract = this.gameState.activeContract;
 
+        if (!contract && this.contractSystem.hasOffers()) {
+            this.renderContractOffers();
+            return;
+        }
+
         if (!contract) {
             this.elements.contractInfo.innerHTML = `
                 <p class="empty-state">No active contract</p>
@@ -396,19 +705,22 @@ export class UIManager {
         this.elements.contractInfo.innerHTML = `
             <div class="contract-active">
                 <div class="contract-header">
-                    <span class="contract-name">${rank.name} Contract</span>
+                    <span class="contract-name">${rank.name} ${contract.daily ? 'Daily' : 'Contract'}</span>
                     <span class="contract-reward">$${contract.reward}</span>
                 </div>
                 <div class="contract-progress">
                     <div class="progress-bar">
                         <div class="progress-fill" style="width: ${progress.percent}%"></div>
                     </div>
-                    <span class="progress-text">${progress.correct}/${progress.total}</span>
+                    <span class="progress-text">${this.formatProgress(progress)}</span>
                 </div>
+                <div class="color-breakdown"></div>
                 <p class="contract-hint">Fill in the outlined cells with the correct colors</p>
             </div>
         `;
 
+        this.renderColorBreakdown();
+
         if (this.elements.newContractBtn) {
             this.elements.newContractBtn.style.display = 'none';
         }
@@ -417,6 +729,67 @@ export class UIManager {
         }
     }
 
+    // Offer board for Contract Preview - pick one of several previewed contracts or reroll
+    renderContractOffers() {
+        const offers = this.contractSystem.getOffers();
+        const rank = getRank(this.contractSystem.offerRankLevel);
+
+        this.elements.contractInfo.innerHTML = `
+            <div class="contract-offers">
+                <div class="contract-offers-header">
+                    <span class="contract-name">${rank.name} Offers</span>
+                    <button class="tool-btn offers-reroll-btn">Reroll</button>
+                </div>
+                <div class="contract-offer-list"></div>
+                <button class="danger-btn offers-cancel-btn">Cancel</button>
+            </div>
+        `;
+
+        const list = this.elements.contractInfo.querySelector('.contract-offer-list');
+        for (const offer of offers) {
+            const card = document.createElement('div');
+            card.className = 'contract-offer';
+            card.appendChild(renderPatternThumbnail(offer.pattern));
+            card.insertAdjacentHTML('beforeend', `
+                <span class="contract-reward">$${this.formatNumber(offer.reward)}</span>
+                <span class="offer-cells">${offer.cellCount} cells</span>
+                <button class="buy-btn">Accept</button>
+            `);
+
+            card.querySelector('.buy-btn').addEventListener('click', () => {
+                const result = this.contractSystem.acceptOffer(offer.id);
+                if (!result.success) {
+                    this.showToast(result.reason, 'error');
+                    this.renderContract();
+                } else {
+                    this.showToast('New contract started!', 'success');
+                }
+            });
+
+            list.appendChild(card);
+        }
+
+        this.elements.contractInfo.querySelector('.offers-reroll-btn').addEventListener('click', () => {
+            const result = this.contractSystem.rerollOffers();
+            if (!result.success) {
+                this.showToast(result.reason, 'error');
+            }
+            this.renderContract();
+        });
+
+        this.elements.contractInfo.querySelector('.offers-cancel-btn').addEventListener('click', () => {
+            this.contractSystem.clearOffers();
+            this.renderContract();
+        });
+
+        if (this.elements.newContractBtn) {
+            this.elements.newContractBtn.style.display = 'none';
+        }
+        if (this.elements.abandonContractBtn) {
+            this.elements.abandonContractBtn.style.display = 'none';
+        }
+    }
+
     updateContractProgress() {
         if (!this.gameState.activeContract) return;
 
@@ -428,8 +801,45 @@ export class UIManager {
             progressFill.style.width = `${progress.percent}%`;
         }
         if (progressText) {
-            progressText.textContent = `${progress.correct}/${progress.total}`;
+            progressText.textContent = this.formatProgress(progress);
+        }
+
+        this.renderColorBreakdown();
+    }
+
+    // Correct cells out of total, plus misplaced cells when there are any
+    formatProgress(progress) {
+        const text = `${progress.correct}/${progress.total}`;
+        return progress.wrong > 0 ? `${text} (${progress.wrong} wrong)` : text;
+    }
+
+    // Precision Mode - remaining cells per color, numbered to match the canvas labels
+    renderColorBreakdown() {
+        const container = this.elements.contractInfo?.querySelector('.color-breakdown');
+        if (!container) return;
+
+        if (!this.gameState.activeContract || !this.gameState.hasUpgrade('precision_mode')) {
+            container.innerHTML = '';
+            return;
         }
+
+        const breakdown = this.contractSystem.getColorBreakdown();
+        container.innerHTML = breakdown.map((entry, index) => {
+            const color = COLORS[entry.color];
+            const selected = entry.color === this.gameState.selectedColor ? 'selected' : '';
+            const done = entry.remaining === 0 ? 'done' : '';
+            return `
+                <button class="color-count ${selected} ${done}" data-color="${entry.color}" title="${color?.name || entry.color}">
+                    <span class="color-count-index">${index + 1}</span>
+                    <span class="color-count-swatch" style="background-color: ${getColorHex(entry.color)}"></span>
+                    <span class="color-count-value">${entry.remaining}</span>
+                </button>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.color-count').forEach(btn => {
+            btn.addEventListener('click', () => this.gameState.selectColor(btn.dataset.color));
+        });
     }
 
     renderShop() {
@@ -0,0 +1,66 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../src/core/GameState.js';
+import { ContractSystem } from '../src/systems/ContractSystem.js';
+import { DailyChallengeSystem } from '../src/systems/DailyChallengeSystem.js';
+import { SelectionSystem } from '../src/systems/SelectionSystem.js';
+
+beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+});
+
+// A game with today's rank 1 daily running
+function startDaily() {
+    const gameState = new GameState();
+    const dailySystem = new DailyChallengeSystem(gameState, new ContractSystem(gameState));
+    const selectionSystem = new SelectionSystem(gameState);
+    assert.equal(dailySystem.startDaily(1).success, true);
+    return { gameState, selectionSystem, daily: gameState.activeContract.daily };
+}
+
+// Red is never part of a rank 1 pattern, so every red cell is a mistake
+test('painting a color the pattern does not want is a mistake', () => {
+    const { gameState, daily } = startDaily();
+    gameState.grid.setCell(0, 0, 'red');
+    gameState.grid.setCells([{ x: 1, y: 0, color: 'red' }, { x: 2, y: 0, color: 'red' }]);
+    assert.equal(daily.mistakes, 3);
+});
+
+test('undo and redo do not add mistakes', () => {
+    const { gameState, daily } = startDaily();
+    gameState.grid.setCell(0, 0, 'red');
+    gameState.grid.setCell(1, 1, 'red');
+
+    gameState.undo();
+    gameState.undo();
+    gameState.redo();
+    gameState.redo();
+    assert.equal(daily.mistakes, 2);
+});
+
+test('moving, pasting and flipping painted cells do not add mistakes', () => {
+    const { gameState, selectionSystem, daily } = startDaily();
+    gameState.grid.setCells([{ x: 0, y: 0, color: 'red' }, { x: 1, y: 0, color: 'red' }]);
+    assert.equal(daily.mistakes, 2);
+
+    selectionSystem.setSelection(0, 0, 1, 0);
+    selectionSystem.startMove();
+    selectionSystem.moveFloatingTo(2, 2);
+    selectionSystem.commitFloating();
+    assert.equal(gameState.grid.getCell(2, 2), 'red');
+
+    selectionSystem.copy();
+    selectionSystem.paste(0, 3);
+    selectionSystem.commitFloating();
+    assert.equal(gameState.grid.getCell(1, 3), 'red');
+
+    selectionSystem.setSelection(0, 0, 3, 3);
+    selectionSystem.flipVertical();
+    assert.equal(gameState.grid.getCell(0, 0), 'red');
+    assert.equal(daily.mistakes, 2);
+
+    // Painting by hand still counts afterwards
+    gameState.grid.setCell(3, 0, 'red');
+    assert.equal(daily.mistakes, 3);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random } from '../src/core/Random.js';
+import { getPatternGenerators } from '../src/core/PatternRegistry.js';
+import { RANKS, getComplexityRange } from '../src/data/ranks.js';
+import { GRID_EXPANSIONS } from '../src/data/upgrades.js';
+
+const PATTERN_COLORS = ['black', 'white', 'red', 'blue', 'green', 'yellow'];
+
+// Generators that must fill exactly their target
+const ADVANCED_TYPES = [
+    'multi_shape', 'spiral_partial', 'complex_shape', 'multi_color_pattern', 'large_hollow',
+    'maze_section', 'massive_pattern', 'intricate_design', 'full_artwork'
+];
+
+// Seeds tried per grid size, on top of the min and max targets
+const RANDOM_TARGETS = 5;
+
+function countCells(pattern) {
+    let count = 0;
+    for (const row of pattern) {
+        for (const cell of row) {
+            if (cell !== null) count++;
+        }
+    }
+    return count;
+}
+
+// Each advanced generator, on every grid size from the smallest rank grid of its complexity up
+const tested = new Set();
+for (const rank of RANKS) {
+    const range = getComplexityRange(rank.patternComplexity);
+    const generators = getPatternGenerators(rank.patternComplexity, rank.minGridSize)
+        .filter(g => ADVANCED_TYPES.includes(g.id) && !tested.has(g.id));
+
+    for (const generator of generators) {
+        tested.add(generator.id);
+        const sizes = GRID_EXPANSIONS.map(e => e.size).filter(size => size >= rank.minGridSize);
+
+        test(`${generator.id} hits its ${rank.patternComplexity} cell target on every grid size`, () => {
+            const failures = [];
+            for (const size of sizes) {
+                const random = new Random(size);
+                const targets = [range.min, range.max];
+                for (let i = 0; i < RANDOM_TARGETS; i++) {
+                    targets.push(range.min + random.int(range.max - range.min + 1));
+                }
+
+                for (const target of targets) {
+                    const pattern = Array.from({ length: size }, () => new Array(size).fill(null));
+                    generator.generate(pattern, PATTERN_COLORS, target, random);
+                    const cells = countCells(pattern);
+                    if (cells !== target) failures.push(`${size}x${size}: ${cells}/${target}`);
+                }
+            }
+            assert.deepEqual(failures, []);
+        });
+    }
+}
+
+test('every advanced generator is registered', () => {
+    assert.deepEqual([...tested].sort(), [...ADVANCED_TYPES].sort());
+});
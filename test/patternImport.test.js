@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { decodePng } from '../src/core/PngDecoder.js';
+import { importPngPattern } from '../src/core/PatternImporter.js';
+import { fitPatternToGrid, getRandomPhotoPattern } from '../src/data/photoPatterns.js';
+import { Random } from '../src/core/Random.js';
+
+// 8x8 heart drawn at 3x (24x24 RGBA, every row filter type, compressed)
+const HEART_PNG = 'iVBORw0KGgoAAAANSUhEUgAAABgAAAAYCAYAAADgdz34AAAAsklEQVR42mNgQALPfWz+Y8MMOAAx6hnRNWAzSHLLEUZcFhBSz8RAY8AMckWJmlwDCONSBJNHx8SoZ6G1D3BGFLUwI75UQg1A+0jGF1nUAERFsvC6fVjF3wY5USeSf/36hRVTLZIp8QETKFvDMC5FIIOwYVwA2Uxm9BxIjYjtvfWokaRIHhQ5HJc5jPgsIMVBuOKQ9jkZX0TBMK7IB7kapoainDxgEU6MXkZaO27gIplaAABznRXWgvSqhAAAAABJRU5ErkJggg==';
+
+// 4x4 2-bit palette image with a transparent index (stored, uncompressed)
+const PALETTE_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAQAAAAEAgMAAADUn3btAAAADFBMVEUAAAAAAAA0mNvxxA8xDjZYAAAAAXRSTlMAQObYZgAAABNJREFUeAEBCAD3/wAUAWkCFAPWA8cBbrTs0JEAAAAASUVORK5CYII=';
+
+function fromBase64(text) {
+    return new Uint8Array(Buffer.from(text, 'base64'));
+}
+
+// Rows as strings, one letter per cell ('.' = empty, k = black), for easy comparison
+function rowsOf(pattern) {
+    return pattern.map(row => row.map(cell => cell === null ? '.' : cell === 'black' ? 'k' : cell[0]).join(''));
+}
+
+// === Minimal PNG encoder, so decoder tests can cover every format ===
+
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// samplesAt(x, y) returns the channel values of one pixel at the given bit depth
+function encodePng({ width, height, colorType, bitDepth, samplesAt, interlace = false, extra = [] }) {
+    const rows = [];
+    for (const [x0, y0, dx, dy] of interlace ? ADAM7 : [[0, 0, 1, 1]]) {
+        const w = Math.ceil((width - x0) / dx);
+        const h = Math.ceil((height - y0) / dy);
+        if (w <= 0 || h <= 0) continue;
+
+        for (let y = 0; y < h; y++) {
+            const samples = [];
+            for (let x = 0; x < w; x++) samples.push(...samplesAt(x0 + x * dx, y0 + y * dy));
+
+            let row;
+            if (bitDepth === 8) {
+                row = Buffer.from(samples);
+            } else if (bitDepth === 16) {
+                row = Buffer.alloc(samples.length * 2);
+                samples.forEach((v, i) => row.writeUInt16BE(v, i * 2));
+            } else {
+                row = Buffer.alloc(Math.ceil(samples.length * bitDepth / 8));
+                samples.forEach((v, i) => {
+                    const bit = i * bitDepth;
+                    row[bit >> 3] |= v << (8 - bitDepth - (bit & 7));
+                });
+            }
+            rows.push(Buffer.from([0]), row);
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    header[12] = interlace ? 1 : 0;
+
+    return new Uint8Array(Buffer.concat([
+        Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+        chunk('IHDR', header),
+        ...extra,
+        chunk('IDAT', deflateSync(Buffer.concat(rows))),
+        chunk('IEND', Buffer.alloc(0))
+    ]));
+}
+
+function assertPixels(image, width, height, expectedAt) {
+    assert.equal(image.width, width);
+    assert.equal(image.height, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            assert.deepEqual([...image.data.subarray(i, i + 4)], expectedAt(x, y), `pixel ${x},${y}`);
+        }
+    }
+}
+
+// === Decoder ===
+
+const W = 13;
+const H = 11;
+
+for (const interlace of [false, true]) {
+    const mode = interlace ? 'interlaced' : 'non-interlaced';
+
+    test(`decodes ${mode} 8-bit RGBA`, () => {
+        const png = encodePng({ width: W, height: H, colorType: 6, bitDepth: 8, interlace,
+            samplesAt: (x, y) => [x * 10, y * 20, x + y, (x * y) & 255] });
+        assertPixels(decodePng(png), W, H, (x, y) => [x * 10, y * 20, x + y, (x * y) & 255]);
+    });
+
+    test(`decodes ${mode} 16-bit RGB`, () => {
+        const png = encodePng({ width: W, height: H, colorType: 2, bitDepth: 16, interlace,
+            samplesAt: (x, y) => [x * 1000, y * 2000, 500] });
+        assertPixels(decodePng(png), W, H, (x, y) => [(x * 1000) >> 8, (y * 2000) >> 8, 1, 255]);
+    });
+
+    test(`decodes ${mode} low bit depth grayscale`, () => {
+        const png = encodePng({ width: W, height: H, colorType: 0, bitDepth: 4, interlace,
+            samplesAt: (x, y) => [(x + y) & 15] });
+        assertPixels(decodePng(png), W, H, (x, y) => {
+            const v = Math.round(((x + y) & 15) * 255 / 15);
+            return [v, v, v, 255];
+        });
+    });
+
+    test(`decodes ${mode} gray with alpha`, () => {
+        const png = encodePng({ width: W, height: H, colorType: 4, bitDepth: 8, interlace,
+            samplesAt: (x, y) => [x * 9, y * 7] });
+        assertPixels(decodePng(png), W, H, (x, y) => [x * 9, x * 9, x * 9, y * 7]);
+    });
+
+    test(`decodes ${mode} RGB with a transparent color key`, () => {
+        const png = encodePng({ width: W, height: H, colorType: 2, bitDepth: 8, interlace,
+            samplesAt: (x, y) => x === y ? [10, 20, 30] : [x, y, 0],
+            extra: [chunk('tRNS', Buffer.from([0, 10, 0, 20, 0, 30]))] });
+        assertPixels(decodePng(png), W, H, (x, y) => x === y ? [10, 20, 30, 0] : [x, y, 0, 255]);
+    });
+}
+
+test('decodes a large image with dynamic Huffman blocks', () => {
+    const png = encodePng({ width: 300, height: 200, colorType: 2, bitDepth: 8,
+        samplesAt: (x, y) => [(x * 7) & 255, (y * 3) & 255, ((x ^ y) * 5) & 255] });
+    assertPixels(decodePng(png), 300, 200, (x, y) => [(x * 7) & 255, (y * 3) & 255, ((x ^ y) * 5) & 255, 255]);
+});
+
+test('refuses files that are not PNGs or are damaged', () => {
+    assert.throws(() => decodePng(new Uint8Array([1, 2, 3])), /Not a PNG/);
+
+    const broken = fromBase64(HEART_PNG);
+    broken[40] ^= 1;
+    assert.throws(() => decodePng(broken), /damaged/);
+
+    const truncated = fromBase64(HEART_PNG).subarray(0, 100);
+    assert.throws(() => decodePng(truncated));
+});
+
+// === Importer ===
+
+const CASES = [
+    {
+        name: 'heart, all colors',
+        png: HEART_PNG,
+        options: { gridSize: 8 },
+        expected: ['.rr..rr.', 'rrrrrrrr', 'rrrrrrrr', 'rrrwwrrr', '.rrrrrr.', '..rrrr..', '...rr...', '........']
+    },
+    {
+        name: 'heart, black and white only',
+        png: HEART_PNG,
+        options: { gridSize: 8, colors: ['black', 'white'] },
+        expected: ['.kk..kk.', 'kkkkkkkk', 'kkkkkkkk', 'kkkwwkkk', '.kkkkkk.', '..kkkk..', '...kk...', '........']
+    },
+    {
+        name: 'heart, downscaled',
+        png: HEART_PNG,
+        options: { gridSize: 4 },
+        expected: ['rrrr', 'rrrr', '.rr.', '....']
+    },
+    {
+        name: 'palette with transparency',
+        png: PALETTE_PNG,
+        options: { gridSize: 8 },
+        expected: ['.kk.', 'kbbk', 'kyyk', '.kk.']
+    }
+];
+
+for (const { name, png, options, expected } of CASES) {
+    test(`imports ${name}`, () => {
+        const result = importPngPattern(fromBase64(png), options);
+        assert.equal(result.success, true, result.reason);
+        assert.deepEqual(rowsOf(result.pattern.pattern), expected);
+    });
+}
+
+test('import reports errors instead of throwing', () => {
+    const result = importPngPattern(new Uint8Array([1, 2, 3]));
+    assert.equal(result.success, false);
+    assert.match(result.reason, /Not a PNG/);
+
+    const empty = encodePng({ width: 4, height: 4, colorType: 6, bitDepth: 8, samplesAt: () => [0, 0, 0, 0] });
+    assert.deepEqual(importPngPattern(empty), { success: false, reason: 'The image has no visible pixels' });
+});
+
+test('imported patterns fit a grid and are offered as photo patterns', () => {
+    const heart = importPngPattern(fromBase64(HEART_PNG), { gridSize: 8, name: 'Heart' }).pattern;
+    assert.equal(heart.name, 'Heart');
+
+    const fitted = fitPatternToGrid(heart.pattern, 12, 12);
+    assert.equal(fitted.length, 12);
+    assert.equal(rowsOf(fitted)[2], '...rr..rr...');
+
+    const random = new Random(1);
+    let picked = 0;
+    for (let i = 0; i < 100; i++) {
+        if (getRandomPhotoPattern(8, ['red', 'white'], random, [heart]) === heart) picked++;
+    }
+    assert.ok(picked > 0);
+
+    // Too big for the grid - never offered
+    assert.notEqual(getRandomPhotoPattern(4, ['red', 'white'], new Random(1), [heart]), heart);
+});
@@ -0,0 +1,189 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../src/core/GameState.js';
+import { SaveManager } from '../src/core/SaveManager.js';
+import { MemoryStorageAdapter } from '../src/core/StorageAdapters.js';
+
+// SaveManager against the in-memory backend, so nothing touches browser storage
+
+let storage;
+
+async function createManager(gameState = new GameState()) {
+    const manager = new SaveManager(gameState, storage);
+    await manager.init();
+    return manager;
+}
+
+beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+test('save and load round trip', async () => {
+    const state = new GameState();
+    state.addMoney(1234);
+    state.grid.setCell(1, 2, 'white');
+    const manager = await createManager(state);
+    assert.equal(await manager.save(), true);
+
+    const loaded = new GameState();
+    const other = await createManager(loaded);
+    assert.equal(await other.load(), true);
+    assert.equal(loaded.money, 1234);
+    assert.equal(loaded.grid.getCell(1, 2), 'white');
+    assert.equal(other.getSlot(other.activeSlotId).meta.money, 1234);
+});
+
+test('load returns false when there is no save', async () => {
+    const manager = await createManager();
+    assert.equal(await manager.load(), false);
+    assert.equal(manager.lastLoadFailure, null);
+});
+
+test('create and delete slots', async () => {
+    const manager = await createManager();
+    const created = await manager.createSlot('Second run');
+    assert.equal(created.success, true);
+    assert.equal(manager.getSlots().length, 2);
+
+    // The index is persisted, so a fresh manager sees the slot
+    const reopened = await createManager();
+    assert.ok(reopened.getSlot(created.slot.id));
+
+    assert.equal((await manager.deleteSlot(manager.activeSlotId)).success, false);
+    assert.equal((await manager.deleteSlot('missing')).success, false);
+
+    await storage.setItem(manager.getSlotKey(created.slot.id), 'slot data');
+    assert.equal((await manager.deleteSlot(created.slot.id)).success, true);
+    assert.equal(manager.getSlots().length, 1);
+    assert.equal(await storage.getItem(manager.getSlotKey(created.slot.id)), null);
+});
+
+test('slot names are validated', async () => {
+    const manager = await createManager();
+    assert.equal((await manager.createSlot('   ')).success, false);
+});
+
+test('backups rotate and keep the newest saves', async () => {
+    let now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+
+    const state = new GameState();
+    const manager = await createManager(state);
+
+    // Each save backs up the previous one once the backup interval has passed
+    for (let money = 1; money <= 5; money++) {
+        state.addMoney(1);
+        await manager.save();
+        now += 10 * 60 * 1000;
+    }
+
+    const backups = await manager.getBackups();
+    assert.deepEqual(backups.map(b => b.meta.money), [4, 3, 2]);
+
+    // Saves inside the interval don't push the ring along
+    state.addMoney(1);
+    await manager.save();
+    state.addMoney(1);
+    await manager.save();
+    assert.deepEqual((await manager.getBackups()).map(b => b.meta.money), [5, 4, 3]);
+
+    assert.equal((await manager.restoreBackup(2)).success, true);
+    assert.equal(state.money, 3);
+});
+
+test('unreadable saves are quarantined, not overwritten', async () => {
+    const manager = await createManager();
+    await storage.setItem(manager.saveKey, '{ not json');
+
+    assert.equal(await manager.load(), false);
+    assert.match(manager.lastLoadFailure.reason, /not valid JSON/);
+    assert.equal(await storage.getItem(manager.quarantineKey), '{ not json');
+
+    // The damaged save is not copied into the backups by the next save
+    await manager.save();
+    assert.deepEqual(await manager.getBackups(), []);
+    assert.equal(await storage.getItem(manager.quarantineKey), '{ not json');
+});
+
+test('backups stay put after a failed load until the player restores or starts over', async () => {
+    let now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+
+    const state = new GameState();
+    const manager = await createManager(state);
+    for (let money = 1; money <= 4; money++) {
+        state.addMoney(1);
+        await manager.save();
+        now += 10 * 60 * 1000;
+    }
+    assert.deepEqual((await manager.getBackups()).map(b => b.meta.money), [3, 2, 1]);
+
+    // Startup finds the save broken; autosaves of the fresh game follow while the dialog is open
+    await storage.setItem(manager.saveKey, '{ not json');
+    const fresh = new GameState();
+    const restarted = await createManager(fresh);
+    assert.equal(await restarted.load(), false);
+    for (let i = 0; i < 5; i++) {
+        fresh.addMoney(100);
+        await restarted.save();
+        now += 10 * 60 * 1000;
+    }
+    assert.deepEqual((await restarted.getBackups()).map(b => b.meta.money), [3, 2, 1]);
+
+    // Restoring the newest backup is still possible, and rotation resumes afterwards
+    assert.equal((await restarted.restoreBackup(0)).success, true);
+    assert.equal(fresh.money, 3);
+    fresh.addMoney(1);
+    await restarted.save();
+    assert.deepEqual((await restarted.getBackups()).map(b => b.meta.money), [3, 3, 2]);
+});
+
+test('starting a new game after a failed load lets backups rotate again', async () => {
+    let now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+
+    const manager = await createManager();
+    await manager.save();
+    await storage.setItem(manager.saveKey, '{ not json');
+
+    const fresh = new GameState();
+    const restarted = await createManager(fresh);
+    await restarted.load();
+    fresh.addMoney(5);
+    await restarted.save();
+    now += 10 * 60 * 1000;
+    await restarted.save();
+    assert.deepEqual(await restarted.getBackups(), []);
+
+    restarted.dismissRecovery();
+    now += 10 * 60 * 1000;
+    await restarted.save();
+    assert.deepEqual((await restarted.getBackups()).map(b => b.meta.money), [5]);
+});
+
+test('saves with a bad checksum are quarantined', async () => {
+    const state = new GameState();
+    const manager = await createManager(state);
+    await manager.save();
+
+    const data = JSON.parse(await storage.getItem(manager.saveKey));
+    data.money = 999999;
+    await storage.setItem(manager.saveKey, JSON.stringify(data));
+
+    assert.equal(await manager.load(), false);
+    assert.match(manager.lastLoadFailure.reason, /checksum/);
+    assert.equal(JSON.parse(await storage.getItem(manager.quarantineKey)).money, 999999);
+});
+
+test('export codes survive names outside Latin-1', async () => {
+    const state = new GameState();
+    state.addCustomPattern({ name: 'café ☕', pattern: [['red']] });
+    const manager = await createManager(state);
+
+    const parsed = manager.parseSaveCode(await manager.exportSave());
+    assert.equal(parsed.success, true);
+    assert.equal(parsed.data.customPatterns[0].name, 'café ☕');
+});
@@ -0,0 +1,278 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameState } from '../src/core/GameState.js';
+import { migrateSave, CURRENT_SAVE_VERSION } from '../src/core/SaveMigrations.js';
+import { addChecksum } from '../src/core/SaveChecksum.js';
+
+// Fixture saves from each supported version, plus ones that must be refused
+
+beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'warn', () => {});
+});
+
+// A current-version save with a valid checksum
+function currentSave() {
+    const state = new GameState();
+    state.grid.setCell(2, 3, 'black');
+    return addChecksum({ ...state.serialize(), money: 500 });
+}
+
+// Migrate a fixture and load it into a fresh game state
+function load(fixture) {
+    const before = JSON.stringify(fixture);
+    const result = migrateSave(fixture);
+    assert.equal(result.success, true, result.reason);
+    assert.equal(JSON.stringify(fixture), before, 'fixture was modified');
+    assert.equal(result.data.version, CURRENT_SAVE_VERSION);
+
+    const state = new GameState();
+    assert.equal(state.deserialize(result.data), true);
+    return { state, report: result.report };
+}
+
+// Steps run for a save of the given version
+function stepsFrom(version) {
+    return CURRENT_SAVE_VERSION - version;
+}
+
+test('v1 save with a flat cell array', () => {
+    const { state, report } = load({
+        grid: { width: 4, height: 4, cells: ['black', null, null, null, null, 'white', null, null, null, null, null, null, null, null, null, 'black'] },
+        money: 25,
+        unlockedColors: ['black', 'white'],
+        selectedColor: 'white',
+        upgrades: { hold_to_paint: 1 },
+        activeContract: null,
+        completedContracts: 2
+    });
+
+    assert.equal(report.steps.length, stepsFrom(1));
+    assert.equal(state.grid.getCell(0, 0), 'black');
+    assert.equal(state.grid.getCell(1, 1), 'white');
+    assert.equal(state.grid.getCell(3, 3), 'black');
+    assert.equal(state.grid.getFilledCount(), 3);
+    assert.equal(state.money, 25);
+    assert.equal(state.selectedColor, 'white');
+    assert.equal(state.completedContracts, 2);
+    assert.equal(state.getUpgradeLevel('hold_to_paint'), 1);
+});
+
+test('v2 save drops fields this version does not read', () => {
+    const { state, report } = load({
+        version: 2,
+        grid: { width: 4, height: 4, cells: [[0, 0, 'black'], [3, 3, 'white']] },
+        gridLevel: 1,
+        money: 120,
+        unlockedColors: ['black', 'white', 'red'],
+        selectedColor: 'red',
+        upgrades: { hold_to_paint: 1, money_boost: 2 },
+        activeContract: null,
+        completedContracts: 5,
+        stats: { totalCellsFilled: 40, totalMoneyEarned: 150, totalContractsCompleted: 5, playTime: 0 },
+        legacyTheme: 'dark'
+    });
+
+    assert.equal(report.steps.length, stepsFrom(2));
+    assert.deepEqual(report.dropped, ['field legacyTheme (not read by this version)']);
+    assert.equal(state.selectedColor, 'red');
+    assert.equal(state.gridLevel, 1);
+    assert.deepEqual(state.automationEnabled, {});
+    assert.equal(state.grid.getCell(3, 3), 'white');
+    assert.equal(state.stats.totalMoneyEarned, 150);
+});
+
+test('v3 save gets a grid level, full play stats and quick color fields', () => {
+    const { state, report } = load({
+        version: 3,
+        grid: { width: 4, height: 4, cells: [[2, 1, 'white']] },
+        money: 70,
+        unlockedColors: ['black', 'white'],
+        selectedColor: 'black',
+        upgrades: {},
+        automationEnabled: { auto_painters: false },
+        activeContract: null,
+        completedContracts: 3,
+        stats: { playTime: 45, totalCellsFilled: 'lots' }
+    });
+
+    assert.equal(report.steps.length, stepsFrom(3));
+    assert.match(report.steps[0], /^v3 -> v4/);
+    assert.match(report.steps[1], /^v4 -> v5/);
+    assert.ok(report.migrated.includes('Added gridLevel (default)'));
+    assert.ok(report.migrated.includes('Added selectedTool (default)'));
+    assert.equal(state.gridLevel, 1);
+    assert.equal(state.stats.playTime, 45);
+    assert.equal(state.stats.totalCellsFilled, 0);
+    assert.equal(state.stats.totalMoneyEarned, 0);
+    assert.equal(state.stats.totalContractsCompleted, 0);
+    assert.equal(state.selectedTool, 'brush');
+    assert.deepEqual(state.recentColors, []);
+    assert.deepEqual(state.quickSlots, new Array(9).fill(null));
+    assert.deepEqual(state.automationEnabled, { auto_painters: false });
+    assert.equal(state.grid.getCell(2, 1), 'white');
+});
+
+test('v4 save on a larger grid', () => {
+    const { state, report } = load({
+        version: 4,
+        grid: { width: 8, height: 8, cells: [[1, 1, 'blue']] },
+        gridLevel: 2,
+        money: 900,
+        unlockedColors: ['black', 'white', 'blue'],
+        selectedColor: 'blue',
+        upgrades: { multi_brush: 1 },
+        automationEnabled: {},
+        activeContract: null,
+        completedContracts: 12,
+        stats: { totalCellsFilled: 300, totalMoneyEarned: 1000, totalContractsCompleted: 12, playTime: 0 }
+    });
+
+    assert.equal(report.steps.length, stepsFrom(4));
+    assert.equal(state.grid.width, 8);
+    assert.equal(state.grid.height, 8);
+    assert.equal(state.grid.getCell(1, 1), 'blue');
+    assert.equal(state.gridLevel, 2);
+    assert.equal(state.selectedTool, 'brush');
+    assert.equal(state.money, 900);
+});
+
+test('v5 save keeps recent colors and quick slots', () => {
+    const { state } = load({
+        version: 5,
+        grid: { width: 4, height: 4, cells: [[0, 0, 'white'], [1, 0, 'white'], [3, 2, 'black']] },
+        gridLevel: 1,
+        money: 60,
+        unlockedColors: ['black', 'white'],
+        selectedColor: 'black',
+        selectedTool: 'brush',
+        recentColors: ['black'],
+        quickSlots: ['white', null, null, null, null, null, null, null, null],
+        upgrades: {},
+        automationEnabled: {},
+        activeContract: null,
+        completedContracts: 1,
+        stats: { totalCellsFilled: 3, totalMoneyEarned: 60, totalContractsCompleted: 1, playTime: 90 }
+    });
+
+    assert.equal(state.grid.getFilledCount(), 3);
+    assert.equal(state.grid.countColor('white'), 2);
+    assert.deepEqual(state.recentColors, ['black']);
+    assert.equal(state.quickSlots[0], 'white');
+});
+
+test('v6 save gets hand/auto counts and per-rank stats', () => {
+    const { state } = load(addChecksum({
+        version: 6,
+        grid: { width: 4, height: 4, cells: [[2, 2, 'black']] },
+        gridLevel: 1,
+        money: 40,
+        unlockedColors: ['black', 'white'],
+        selectedColor: 'black',
+        selectedTool: 'brush',
+        recentColors: [],
+        quickSlots: new Array(9).fill(null),
+        upgrades: {},
+        automationEnabled: {},
+        activeContract: null,
+        completedContracts: 3,
+        stats: { totalCellsFilled: 12, totalMoneyEarned: 40, totalContractsCompleted: 3, playTime: 300 }
+    }));
+
+    assert.equal(state.stats.playTime, 300);
+    assert.equal(state.stats.cellsPaintedByHand, 0);
+    assert.equal(state.stats.cellsPaintedByAuto, 0);
+    assert.equal(state.stats.sessions, 0);
+    assert.deepEqual(state.stats.ranks, {});
+    assert.equal(state.grid.getCell(2, 2), 'black');
+});
+
+test('v7 save gets an empty daily record', () => {
+    const { state } = load(addChecksum({
+        version: 7,
+        grid: { width: 4, height: 4, cells: [[0, 3, 'white']] },
+        gridLevel: 1,
+        money: 75,
+        unlockedColors: ['black', 'white'],
+        selectedColor: 'white',
+        selectedTool: 'brush',
+        recentColors: ['white'],
+        quickSlots: new Array(9).fill(null),
+        upgrades: {},
+        automationEnabled: {},
+        activeContract: null,
+        completedContracts: 4,
+        stats: {
+            totalCellsFilled: 20, totalMoneyEarned: 75, totalContractsCompleted: 4, playTime: 600,
+            cellsPaintedByHand: 20, cellsPaintedByAuto: 0, sessions: 2, ranks: { 1: { contracts: 4, earned: 75, bestTime: 12 } }
+        }
+    }));
+
+    assert.deepEqual(state.stats.ranks[1], { contracts: 4, earned: 75, bestTime: 12 });
+    assert.equal(state.daily.streak, 0);
+    assert.equal(state.daily.date, null);
+    assert.deepEqual(state.daily.results, []);
+});
+
+test('v8 save gets an empty custom pattern list', () => {
+    const { state, report } = load(addChecksum({
+        version: 8,
+        grid: { width: 4, height: 4, cells: [[1, 2, 'black']] },
+        gridLevel: 1,
+        money: 90,
+        unlockedColors: ['black', 'white'],
+        selectedColor: 'black',
+        selectedTool: 'brush',
+        recentColors: [],
+        quickSlots: new Array(9).fill(null),
+        upgrades: {},
+        automationEnabled: {},
+        activeContract: null,
+        completedContracts: 5,
+        stats: {
+            totalCellsFilled: 25, totalMoneyEarned: 90, totalContractsCompleted: 5, playTime: 700,
+            cellsPaintedByHand: 25, cellsPaintedByAuto: 0, sessions: 3, ranks: {}
+        },
+        daily: { date: '2026-10-18', completedRanks: [1], streak: 2, bestStreak: 2, lastCompletedDate: '2026-10-18', results: [] }
+    }));
+
+    assert.equal(report.steps.length, 1);
+    assert.equal(state.daily.streak, 2);
+    assert.deepEqual(state.daily.completedRanks, [1]);
+    assert.deepEqual(state.customPatterns, []);
+});
+
+test('current save loads without migration steps', () => {
+    const { state, report } = load(currentSave());
+
+    assert.deepEqual(report.steps, []);
+    assert.deepEqual(report.dropped, []);
+    assert.equal(state.grid.getCell(2, 3), 'black');
+    assert.equal(state.money, 500);
+});
+
+test('a save that fails its checksum is refused', () => {
+    const result = migrateSave({ ...currentSave(), money: 999999 });
+    assert.equal(result.success, false);
+    assert.equal(result.report.corrupted, true);
+});
+
+test('a current save without a checksum is refused', () => {
+    const { checksum, ...save } = currentSave();
+    const result = migrateSave(save);
+    assert.equal(result.success, false);
+    assert.equal(result.report.corrupted, true);
+});
+
+test('a save from a newer version is refused', () => {
+    const result = migrateSave({ version: CURRENT_SAVE_VERSION + 1, money: 1 });
+    assert.equal(result.success, false);
+    assert.equal(result.report.newer, true);
+    assert.match(result.reason, /newer version/);
+});
+
+test('something that is not a save is refused', () => {
+    const result = migrateSave('not a save');
+    assert.equal(result.success, false);
+    assert.equal(result.reason, 'Not a valid save');
+});